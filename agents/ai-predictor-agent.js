@@ -1,5 +1,6 @@
 // Strands AI Predictor Agent - Provides intelligent move suggestions
 import { Agent } from '../src/strands-sdk.js';
+import { GameEngine } from '../src/game-engine.js';
 
 class AIPredictorAgent extends Agent {
   constructor(config = {}) {
@@ -33,6 +34,7 @@ class AIPredictorAgent extends Agent {
       'board-analysis',
       'placement-scoring',
       'lookahead-calculation',
+      'puzzle-validation',
       'difficulty-adaptation'
     ]);
     
@@ -46,6 +48,7 @@ class AIPredictorAgent extends Agent {
     this.onMessage('ANALYZE_BOARD', this.handleAnalyzeBoard.bind(this));
     this.onMessage('SCORE_PLACEMENT', this.handleScorePlacement.bind(this));
     this.onMessage('CALCULATE_LOOKAHEAD', this.handleCalculateLookahead.bind(this));
+    this.onMessage('VALIDATE_PUZZLE', this.handleValidatePuzzle.bind(this));
     
     // Configuration
     this.onMessage('SET_DIFFICULTY', this.handleSetDifficulty.bind(this));
@@ -77,10 +80,11 @@ class AIPredictorAgent extends Agent {
     const startTime = performance.now();
     
     try {
-      const { piece, grid, nextPieces = [] } = message.payload;
+      const { piece, grid, nextPieces = [], holdPiece = null, canHold = false } = message.payload;
+      const holdOption = canHold ? this.getHoldOption(holdPiece, nextPieces) : null;
       
       // Check cache first
-      const cacheKey = this.generateCacheKey(piece, grid);
+      const cacheKey = this.generateCacheKey(piece, grid, holdOption);
       if (this.predictionCache.has(cacheKey)) {
         const cached = this.predictionCache.get(cacheKey);
         return {
@@ -91,16 +95,14 @@ class AIPredictorAgent extends Agent {
         };
       }
       
-      // Generate all possible moves
-      const possibleMoves = this.generatePossibleMoves(piece, grid);
+      // Score every placement of the current piece
+      const scoredMoves = await this.scorePossibleMoves(piece, grid, nextPieces);
       
-      // Score each move
-      const scoredMoves = await Promise.all(
-        possibleMoves.map(async move => ({
-          ...move,
-          score: await this.scorePlacement(piece, move, grid, nextPieces)
-        }))
-      );
+      // Holding swaps in a different piece, so score its placements as alternatives
+      if (holdOption) {
+        const holdMoves = await this.scorePossibleMoves(holdOption.piece, grid, holdOption.nextPieces);
+        scoredMoves.push(...holdMoves.map(move => ({ ...move, useHold: true })));
+      }
       
       // Sort by score (highest first)
       scoredMoves.sort((a, b) => b.score - a.score);
@@ -133,6 +135,32 @@ class AIPredictorAgent extends Agent {
     }
   }
 
+  async scorePossibleMoves(piece, grid, nextPieces) {
+    const possibleMoves = this.generatePossibleMoves(piece, grid);
+    
+    return Promise.all(
+      possibleMoves.map(async move => ({
+        ...move,
+        pieceType: piece.type,
+        useHold: false,
+        score: await this.scorePlacement(piece, move, grid, nextPieces)
+      }))
+    );
+  }
+
+  getHoldOption(holdPiece, nextPieces) {
+    // With an empty hold slot the next queued piece becomes active
+    if (holdPiece) {
+      return { piece: { type: holdPiece.type }, nextPieces };
+    }
+    
+    if (nextPieces.length > 0) {
+      return { piece: { type: nextPieces[0].type }, nextPieces: nextPieces.slice(1) };
+    }
+    
+    return null;
+  }
+
   generatePossibleMoves(piece, grid) {
     const moves = [];
     
@@ -142,10 +170,10 @@ class AIPredictorAgent extends Agent {
       const shape = this.getShapeForRotation(piece.type, rotation);
       
       // Try all horizontal positions
-      for (let x = -3; x < 13; x++) {
+      for (let x = -3; x < grid[0].length + 3; x++) {
         // Find the lowest valid position
         let y = 0;
-        while (y < 20 && !this.checkCollision(shape, x, y, grid)) {
+        while (y < grid.length && !this.checkCollision(shape, x, y, grid)) {
           y++;
         }
         y--; // Back up to last valid position
@@ -239,7 +267,7 @@ class AIPredictorAgent extends Agent {
           const gridX = move.x + x;
           const gridY = move.y + y;
           
-          if (gridY >= 0 && gridY < 20 && gridX >= 0 && gridX < 10) {
+          if (gridY >= 0 && gridY < grid.length && gridX >= 0 && gridX < grid[0].length) {
             newGrid[gridY][gridX] = piece.type;
           }
         }
@@ -262,8 +290,8 @@ class AIPredictorAgent extends Agent {
     }
     
     // Add empty lines at the top
-    while (newGrid.length < 20) {
-      newGrid.unshift(new Array(10).fill(0));
+    while (newGrid.length < grid.length) {
+      newGrid.unshift(new Array(grid[0].length).fill(0));
     }
     
     return { clearedGrid: newGrid, linesCleared };
@@ -272,10 +300,10 @@ class AIPredictorAgent extends Agent {
   getAggregateHeight(grid) {
     let totalHeight = 0;
     
-    for (let x = 0; x < 10; x++) {
-      for (let y = 0; y < 20; y++) {
+    for (let x = 0; x < grid[0].length; x++) {
+      for (let y = 0; y < grid.length; y++) {
         if (grid[y][x] !== 0) {
-          totalHeight += (20 - y);
+          totalHeight += (grid.length - y);
           break;
         }
       }
@@ -287,9 +315,9 @@ class AIPredictorAgent extends Agent {
   getHoles(grid) {
     let holes = 0;
     
-    for (let x = 0; x < 10; x++) {
+    for (let x = 0; x < grid[0].length; x++) {
       let foundBlock = false;
-      for (let y = 0; y < 20; y++) {
+      for (let y = 0; y < grid.length; y++) {
         if (grid[y][x] !== 0) {
           foundBlock = true;
         } else if (foundBlock) {
@@ -304,11 +332,11 @@ class AIPredictorAgent extends Agent {
   getBumpiness(grid) {
     const heights = [];
     
-    for (let x = 0; x < 10; x++) {
+    for (let x = 0; x < grid[0].length; x++) {
       let height = 0;
-      for (let y = 0; y < 20; y++) {
+      for (let y = 0; y < grid.length; y++) {
         if (grid[y][x] !== 0) {
-          height = 20 - y;
+          height = grid.length - y;
           break;
         }
       }
@@ -331,7 +359,7 @@ class AIPredictorAgent extends Agent {
         const newX = x + col;
         const newY = y + row;
         
-        if (newX < 0 || newX >= 10 || newY >= 20) return true;
+        if (newX < 0 || newX >= grid[0].length || newY >= grid.length) return true;
         if (newY < 0) continue;
         if (grid[newY][newX] !== 0) return true;
       }
@@ -414,6 +442,10 @@ class AIPredictorAgent extends Agent {
   generateReasoning(bestMove, grid) {
     const reasons = [];
     
+    if (bestMove.useHold) {
+      reasons.push(`Hold and play ${bestMove.pieceType}`);
+    }
+    
     // Analyze the move
     if (bestMove.score > 80) {
       reasons.push('Excellent placement');
@@ -426,7 +458,7 @@ class AIPredictorAgent extends Agent {
     }
     
     // Check for line clears
-    const testGrid = this.placepiece({ type: 'I' }, bestMove, grid);
+    const testGrid = this.placepiece({ type: bestMove.pieceType || 'I' }, bestMove, grid);
     const { linesCleared } = this.clearLines(testGrid);
     
     if (linesCleared > 0) {
@@ -444,9 +476,10 @@ class AIPredictorAgent extends Agent {
     return reasons.join(', ');
   }
 
-  generateCacheKey(piece, grid) {
-    // Create a hash of the piece and grid state
-    const pieceKey = `${piece.type}-${piece.x}-${piece.y}-${piece.rotation}`;
+  generateCacheKey(piece, grid, holdOption = null) {
+    // Create a hash of the piece, hold alternative and grid state
+    const holdKey = holdOption ? holdOption.piece.type : 'none';
+    const pieceKey = `${piece.type}-${piece.x}-${piece.y}-${piece.rotation}-${holdKey}`;
     const gridKey = grid.map(row => row.join('')).join('');
     return `${pieceKey}:${this.hashString(gridKey)}`;
   }
@@ -491,14 +524,15 @@ class AIPredictorAgent extends Agent {
   }
 
   calculateDangerLevel(grid) {
-    const maxHeight = Math.max(...Array.from({ length: 10 }, (_, x) => {
-      for (let y = 0; y < 20; y++) {
-        if (grid[y][x] !== 0) return 20 - y;
+    const maxHeight = Math.max(...Array.from({ length: grid[0].length }, (_, x) => {
+      for (let y = 0; y < grid.length; y++) {
+        if (grid[y][x] !== 0) return grid.length - y;
       }
       return 0;
     }));
     
-    return Math.min(1.0, maxHeight / 15); // Danger increases as height approaches 15
+    // Danger increases as the stack approaches three quarters of the board
+    return Math.min(1.0, maxHeight / (grid.length * 0.75));
   }
 
   generateRecommendations(grid) {
@@ -542,6 +576,99 @@ class AIPredictorAgent extends Agent {
     }
   }
 
+  async handleValidatePuzzle(message) {
+    const startTime = performance.now();
+    
+    try {
+      const { puzzle, maxNodes } = message.payload;
+      const result = this.solvePuzzle(puzzle, { maxNodes });
+      
+      this.recordMetric('puzzle_validation_time', performance.now() - startTime);
+      
+      return { success: true, ...result };
+    } catch (error) {
+      this.logger.error('Failed to validate puzzle:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Depth-first search over the puzzle's placements, best heuristic score first.
+  // Candidates are played out on a real GameEngine so kicks, spins and goals follow the game rules.
+  solvePuzzle(puzzle, { maxNodes = 20000 } = {}) {
+    const root = new GameEngine({ puzzle });
+    root.spawnNewPiece();
+    
+    const visited = new Set();
+    let nodes = 0;
+    
+    const search = (snapshot) => {
+      for (const { engine, placement } of this.getPuzzleCandidates(snapshot)) {
+        if (nodes >= maxNodes) return null;
+        nodes++;
+        
+        if (engine.outcome === 'completed') return [placement];
+        if (engine.gameState !== 'playing') continue;
+        
+        // Different move orders often reach the same board
+        const next = engine.serialize();
+        const key = JSON.stringify([next.grid, next.currentPiece?.type, next.holdPiece, next.randomizerState]);
+        if (visited.has(key)) continue;
+        visited.add(key);
+        
+        const rest = search(next);
+        if (rest) return [placement, ...rest];
+      }
+      return null;
+    };
+    
+    const solution = search(root.serialize());
+    return { solvable: solution !== null, solution, nodes };
+  }
+
+  // Every drop placement of the current (or held) piece, plus a final spin for T pieces
+  getPuzzleCandidates(snapshot) {
+    const candidates = [];
+    
+    for (const useHold of [false, true]) {
+      const base = GameEngine.fromSnapshot(snapshot);
+      if (useHold && !base.holdCurrentPiece()) continue;
+      if (!base.currentPiece) continue;
+      
+      const { type } = base.currentPiece;
+      const baseSnapshot = base.serialize();
+      const spins = type === 'T' ? [null, 'cw', 'ccw'] : [null];
+      
+      for (const move of this.generatePossibleMoves({ type }, base.grid)) {
+        for (const spin of spins) {
+          const engine = GameEngine.fromSnapshot(baseSnapshot);
+          Object.assign(engine.currentPiece, move);
+          if (spin && (!engine.rotatePiece(spin) || !engine.isGrounded())) continue;
+          
+          const { x, y, rotation } = engine.currentPiece;
+          engine.hardDrop();
+          this.settlePuzzleEngine(engine);
+          
+          candidates.push({
+            engine,
+            placement: { type, x, y, rotation, useHold, spin },
+            score: engine.outcome === 'completed'
+              ? Infinity
+              : this.calculateHeuristicScore(engine.grid, engine.lines - base.lines)
+          });
+        }
+      }
+    }
+    
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  // Runs line clear and entry delays until the next piece is in play or the puzzle ends
+  settlePuzzleEngine(engine) {
+    while (engine.gameState === 'playing' && !engine.currentPiece) {
+      engine.tick();
+    }
+  }
+
   async handleUpdateWeights(message) {
     try {
       const { weights } = message.payload;
@@ -2,6 +2,19 @@
 import { Agent } from '../src/strands-sdk.js';
 import { GameEngine } from '../src/game-engine.js';
 
+// Engine events forwarded to subscribers as GAME_STATE_UPDATE event types
+const ENGINE_EVENT_TYPES = {
+  pieceSpawned: 'PIECE_SPAWNED',
+  pieceLocked: 'PIECE_LOCKED',
+  linesCleared: 'LINE_CLEAR',
+  levelUp: 'LEVEL_UP',
+  holdUsed: 'PIECE_HELD',
+  attackSent: 'ATTACK_SENT',
+  garbageRisen: 'GARBAGE_RISEN',
+  topOut: 'TOP_OUT',
+  gameOver: 'GAME_OVER'
+};
+
 class GameEngineAgent extends Agent {
   constructor(config = {}) {
     super({
@@ -11,9 +24,9 @@ class GameEngineAgent extends Agent {
       ...config
     });
     
-    this.gameEngine = new GameEngine();
     this.gameState = 'initialized';
     this.subscribers = new Set();
+    this.attachEngine(new GameEngine());
     
     this.setupMessageHandlers();
   }
@@ -29,6 +42,9 @@ class GameEngineAgent extends Agent {
       'state-management', 
       'collision-detection',
       'piece-movement',
+      'piece-hold',
+      'save-state',
+      'garbage',
       'line-clearing'
     ]);
     
@@ -40,11 +56,18 @@ class GameEngineAgent extends Agent {
     this.onMessage('START_GAME', this.handleStartGame.bind(this));
     this.onMessage('PAUSE_GAME', this.handlePauseGame.bind(this));
     this.onMessage('RESTART_GAME', this.handleRestartGame.bind(this));
+    this.onMessage('SAVE_GAME', this.handleSaveGame.bind(this));
+    this.onMessage('LOAD_GAME', this.handleLoadGame.bind(this));
     
     // Piece movement messages
     this.onMessage('MOVE_PIECE', this.handleMovePiece.bind(this));
     this.onMessage('ROTATE_PIECE', this.handleRotatePiece.bind(this));
     this.onMessage('DROP_PIECE', this.handleDropPiece.bind(this));
+    this.onMessage('HOLD_PIECE', this.handleHoldPiece.bind(this));
+    this.onMessage('RECEIVE_GARBAGE', this.handleReceiveGarbage.bind(this));
+    this.onMessage('UNDO_PIECE', this.handleUndoPiece.bind(this));
+    this.onMessage('REDO_PIECE', this.handleRedoPiece.bind(this));
+    this.onMessage('ADVANCE_TICKS', this.handleAdvanceTicks.bind(this));
     
     // State query messages
     this.onMessage('GET_GAME_STATE', this.handleGetGameState.bind(this));
@@ -58,7 +81,8 @@ class GameEngineAgent extends Agent {
 
   async handleStartGame(message) {
     try {
-      this.gameEngine = new GameEngine();
+      // Payload carries engine options (seed, randomizer, rules, scoring)
+      this.attachEngine(new GameEngine(message.payload || {}));
       this.gameEngine.spawnNewPiece();
       this.gameState = 'playing';
       
@@ -101,7 +125,8 @@ class GameEngineAgent extends Agent {
 
   async handleRestartGame(message) {
     try {
-      this.gameEngine = new GameEngine();
+      // Payload carries engine options (seed, randomizer, rules, scoring)
+      this.attachEngine(new GameEngine(message.payload || {}));
       this.gameEngine.spawnNewPiece();
       this.gameState = 'playing';
       
@@ -117,6 +142,33 @@ class GameEngineAgent extends Agent {
     }
   }
 
+  async handleSaveGame(message) {
+    return {
+      success: true,
+      snapshot: this.gameEngine.serialize()
+    };
+  }
+
+  async handleLoadGame(message) {
+    try {
+      // Payload carries a snapshot produced by SAVE_GAME / GameEngine.serialize()
+      this.attachEngine(GameEngine.fromSnapshot(message.payload?.snapshot));
+      this.gameState = this.gameEngine.gameState;
+      
+      this.logger.info('Game resumed from snapshot');
+      
+      await this.broadcastStateUpdate('GAME_LOADED');
+      
+      return {
+        success: true,
+        gameState: this.gameEngine.getState()
+      };
+    } catch (error) {
+      this.logger.error('Failed to load game:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async handleMovePiece(message) {
     const startTime = performance.now();
     
@@ -127,7 +179,7 @@ class GameEngineAgent extends Agent {
         throw new Error(`Invalid direction: ${direction}`);
       }
       
-      const moved = this.gameEngine.movePiece(direction);
+      const moved = this.applyInput({ type: 'move', direction });
       const endTime = performance.now();
       
       // Performance monitoring
@@ -135,8 +187,9 @@ class GameEngineAgent extends Agent {
       
       if (moved) {
         await this.broadcastStateUpdate('PIECE_MOVED', { direction });
-      } else if (direction === 'down') {
-        await this.broadcastStateUpdate('PIECE_LOCKED');
+      } else {
+        // A blocked soft drop may still lock the piece when there is no lock delay
+        await this.flushEngineEvents();
       }
       
       return {
@@ -154,13 +207,19 @@ class GameEngineAgent extends Agent {
     const startTime = performance.now();
     
     try {
-      const rotated = this.gameEngine.rotatePiece();
+      const { direction = 'cw' } = message.payload || {};
+      
+      if (!['cw', 'ccw', '180'].includes(direction)) {
+        throw new Error(`Invalid rotation direction: ${direction}`);
+      }
+      
+      const rotated = this.applyInput({ type: 'rotate', direction });
       const endTime = performance.now();
       
       this.recordMetric('rotate_latency', endTime - startTime);
       
       if (rotated) {
-        await this.broadcastStateUpdate('PIECE_ROTATED');
+        await this.broadcastStateUpdate('PIECE_ROTATED', { direction });
       }
       
       return {
@@ -176,15 +235,8 @@ class GameEngineAgent extends Agent {
 
   async handleDropPiece(message) {
     try {
-      let dropDistance = 0;
-      
-      // Hard drop - move down until collision
-      while (this.gameEngine.movePiece('down')) {
-        dropDistance++;
-      }
-      
-      // Bonus points for hard drop
-      this.gameEngine.score += dropDistance * 2;
+      // Hard drop - move down until collision and lock immediately
+      const dropDistance = this.applyInput({ type: 'drop' }) || 0;
       
       await this.broadcastStateUpdate('PIECE_DROPPED', { dropDistance });
       
@@ -199,6 +251,74 @@ class GameEngineAgent extends Agent {
     }
   }
 
+  async handleHoldPiece(message) {
+    try {
+      const held = this.applyInput({ type: 'hold' });
+      
+      // PIECE_HELD comes from the engine's holdUsed event
+      await this.flushEngineEvents();
+      
+      return {
+        success: true,
+        held,
+        gameState: this.gameEngine.getState()
+      };
+    } catch (error) {
+      this.logger.error('Failed to hold piece:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Practice mode only; the engine refuses undo in every other mode
+  async handleUndoPiece(message) {
+    return this.stepHistory('undo');
+  }
+
+  async handleRedoPiece(message) {
+    return this.stepHistory('redo');
+  }
+
+  async stepHistory(direction) {
+    try {
+      const stepped = this.gameEngine[direction]();
+      this.gameState = this.gameEngine.gameState;
+      
+      if (stepped) {
+        await this.broadcastStateUpdate(direction === 'undo' ? 'PIECE_UNDONE' : 'PIECE_REDONE');
+      }
+      
+      return {
+        success: true,
+        [direction === 'undo' ? 'undone' : 'redone']: stepped,
+        gameState: this.gameEngine.getState()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to ${direction} piece:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async handleReceiveGarbage(message) {
+    try {
+      const { lines } = message.payload;
+      
+      if (!Number.isInteger(lines) || lines < 0) {
+        throw new Error(`Invalid garbage lines: ${lines}`);
+      }
+      
+      this.gameEngine.receiveGarbage(lines);
+      await this.broadcastStateUpdate('GARBAGE_RECEIVED', { lines });
+      
+      return {
+        success: true,
+        pendingGarbage: this.gameEngine.garbage.getPending()
+      };
+    } catch (error) {
+      this.logger.error('Failed to receive garbage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async handleGetGameState(message) {
     return {
       success: true,
@@ -246,7 +366,30 @@ class GameEngineAgent extends Agent {
     return { success: true };
   }
 
+  attachEngine(gameEngine) {
+    this.gameEngine = gameEngine;
+    this.pendingEvents = [];
+    
+    // Engine events fire synchronously mid-action; queue them until the action finishes
+    Object.entries(ENGINE_EVENT_TYPES).forEach(([event, eventType]) => {
+      gameEngine.on(event, eventData => this.pendingEvents.push({ eventType, eventData }));
+    });
+  }
+
+  // Broadcasts an action update followed by any engine events it caused
   async broadcastStateUpdate(eventType, eventData = {}) {
+    await this.notifySubscribers(eventType, eventData);
+    await this.flushEngineEvents();
+  }
+
+  async flushEngineEvents() {
+    const events = this.pendingEvents.splice(0);
+    for (const { eventType, eventData } of events) {
+      await this.notifySubscribers(eventType, eventData);
+    }
+  }
+
+  async notifySubscribers(eventType, eventData) {
     const updateMessage = {
       type: 'GAME_STATE_UPDATE',
       payload: {
@@ -267,7 +410,41 @@ class GameEngineAgent extends Agent {
     await Promise.allSettled(promises);
   }
 
-  // Game loop integration
+  // Inputs go through the engine's queue so they're stamped with the tick they land on, and a game played
+  // through the agents can be re-run with GameEngine.simulate
+  applyInput(action) {
+    if (this.gameEngine.gameState !== 'playing') return false;
+    
+    this.gameEngine.queueInput(action);
+    return this.gameEngine.processInputs().at(-1);
+  }
+  
+  // Steps the engine by whole ticks, for servers that drive the game clock themselves
+  async handleAdvanceTicks(message) {
+    try {
+      const { ticks } = message.payload || {};
+      
+      if (!Number.isInteger(ticks) || ticks < 0) {
+        throw new Error(`Invalid tick count: ${ticks}`);
+      }
+      
+      for (let i = 0; i < ticks && this.gameEngine.gameState === 'playing'; i++) {
+        this.gameEngine.tick();
+      }
+      await this.flushEngineEvents();
+      
+      return {
+        success: true,
+        tick: this.gameEngine.tickCount,
+        gameState: this.gameEngine.getState()
+      };
+    } catch (error) {
+      this.logger.error('Failed to advance ticks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  // Game loop integration: the engine turns frame time into fixed ticks and carries the remainder over
   async update(deltaTime) {
     if (this.gameEngine.gameState === 'playing') {
       const previousState = this.gameEngine.getState();
@@ -279,11 +456,8 @@ class GameEngineAgent extends Agent {
       // Check for state changes that need broadcasting
       if (this.hasSignificantStateChange(previousState, currentState)) {
         await this.broadcastStateUpdate('GAME_TICK');
-      }
-      
-      // Check for game over
-      if (currentState.gameState === 'gameOver' && previousState.gameState !== 'gameOver') {
-        await this.broadcastStateUpdate('GAME_OVER');
+      } else {
+        await this.flushEngineEvents();
       }
     }
   }
@@ -3,6 +3,24 @@ import { Orchestrator } from '../src/strands-sdk.js';
 import { GameEngineAgent } from './game-engine-agent.js';
 import { AIPredictorAgent } from './ai-predictor-agent.js';
 import { UIControllerAgent } from './ui-controller-agent.js';
+import { KeyBindings } from '../src/keybindings.js';
+import { GESTURE_ACTIONS } from '../src/touch.js';
+
+// Agent messages for each bindable action; the keys themselves come from the shared KeyBindings
+const ACTION_MESSAGES = {
+  moveLeft: { type: 'MOVE_PIECE', payload: { direction: 'left' } },
+  moveRight: { type: 'MOVE_PIECE', payload: { direction: 'right' } },
+  softDrop: { type: 'MOVE_PIECE', payload: { direction: 'down' } },
+  hardDrop: { type: 'DROP_PIECE', payload: {} },
+  rotateCW: { type: 'ROTATE_PIECE', payload: { direction: 'cw' } },
+  rotateCCW: { type: 'ROTATE_PIECE', payload: { direction: 'ccw' } },
+  rotate180: { type: 'ROTATE_PIECE', payload: { direction: '180' } },
+  hold: { type: 'HOLD_PIECE', payload: {} },
+  pause: { type: 'PAUSE_GAME', payload: {} },
+  restart: { type: 'RESTART_GAME', payload: {} },
+  undo: { type: 'UNDO_PIECE', payload: {} },
+  redo: { type: 'REDO_PIECE', payload: {} }
+};
 
 class TetrisOrchestrator extends Orchestrator {
   constructor(config = {}) {
@@ -20,6 +38,8 @@ class TetrisOrchestrator extends Orchestrator {
     this.performanceMetrics = new Map();
     this.gameLoop = null;
     this.isRunning = false;
+    // The browser passes the game controller's registry so both input paths share one set of bindings
+    this.keyBindings = config.keyBindings || new KeyBindings();
 
     this.setupMessageRouting();
     this.setupCircuitBreakers();
@@ -103,11 +123,19 @@ class TetrisOrchestrator extends Orchestrator {
       'MOVE_PIECE': 'game-engine',
       'ROTATE_PIECE': 'game-engine',
       'DROP_PIECE': 'game-engine',
+      'HOLD_PIECE': 'game-engine',
+      'RECEIVE_GARBAGE': 'game-engine',
+      'SAVE_GAME': 'game-engine',
+      'LOAD_GAME': 'game-engine',
+      'UNDO_PIECE': 'game-engine',
+      'REDO_PIECE': 'game-engine',
+      'ADVANCE_TICKS': 'game-engine',
 
       // AI prediction messages go to AI Predictor
       'PREDICT_BEST_MOVE': 'ai-predictor',
       'ANALYZE_BOARD': 'ai-predictor',
       'SET_DIFFICULTY': 'ai-predictor',
+      'VALIDATE_PUZZLE': 'ai-predictor',
 
       // UI messages go to UI Controller
       'RENDER_FRAME': 'ui-controller',
@@ -191,7 +219,7 @@ class TetrisOrchestrator extends Orchestrator {
 
   async handleInputEvent(inputEvent) {
     try {
-      const { inputType, key, x, y } = inputEvent.payload;
+      const { inputType, key, x, y, gesture } = inputEvent.payload;
 
       // Process input based on type
       if (inputType === 'keyboard') {
@@ -199,7 +227,7 @@ class TetrisOrchestrator extends Orchestrator {
       } else if (inputType === 'mouse') {
         return this.handleMouseInput(x, y);
       } else if (inputType === 'touch') {
-        return this.handleTouchInput(x, y);
+        return this.handleTouchInput(x, y, gesture);
       }
 
       return { success: false, error: 'Unknown input type' };
@@ -211,18 +239,7 @@ class TetrisOrchestrator extends Orchestrator {
 
   async handleKeyboardInput(key) {
     // Map keyboard input to game actions
-    const keyMappings = {
-      'ArrowLeft': { type: 'MOVE_PIECE', payload: { direction: 'left' } },
-      'ArrowRight': { type: 'MOVE_PIECE', payload: { direction: 'right' } },
-      'ArrowDown': { type: 'MOVE_PIECE', payload: { direction: 'down' } },
-      'ArrowUp': { type: 'ROTATE_PIECE', payload: {} },
-      ' ': { type: 'DROP_PIECE', payload: {} },
-      'Escape': { type: 'PAUSE_GAME', payload: {} },
-      'p': { type: 'PAUSE_GAME', payload: {} },
-      'r': { type: 'RESTART_GAME', payload: {} }
-    };
-
-    const action = keyMappings[key];
+    const action = ACTION_MESSAGES[this.keyBindings.getActionName(key)];
     if (action) {
       // Route to appropriate agent
       const targetAgent = this.routingTable[action.type];
@@ -243,9 +260,16 @@ class TetrisOrchestrator extends Orchestrator {
     });
   }
 
-  async handleTouchInput(x, y) {
-    // Convert touch to appropriate game action
-    // This is a simplified implementation
+  // Recognised gestures ('swipeLeft', 'tap'...) become game actions; plain touches act like clicks
+  async handleTouchInput(x, y, gesture) {
+    if (gesture) {
+      const action = ACTION_MESSAGES[GESTURE_ACTIONS[gesture]];
+      if (!action) {
+        return { success: false, error: `Unknown gesture: ${gesture}` };
+      }
+      return this.routeMessage('orchestrator', this.routingTable[action.type], action);
+    }
+
     return this.handleMouseInput(x, y);
   }
 
@@ -253,12 +277,12 @@ class TetrisOrchestrator extends Orchestrator {
     try {
       this.logger.info('Starting new game...');
 
-      const { skipLoop = false } = options;
+      const { skipLoop = false, ...gameOptions } = options;
 
       // Start game engine
       const gameResult = await this.routeMessage('orchestrator', 'game-engine', {
         type: 'START_GAME',
-        payload: {}
+        payload: gameOptions
       });
 
       if (!gameResult.success) {
@@ -286,6 +310,39 @@ class TetrisOrchestrator extends Orchestrator {
     }
   }
 
+  // Resumes a game from a GameEngine snapshot instead of starting a fresh one
+  async resumeGame(snapshot, { skipLoop = false } = {}) {
+    try {
+      this.logger.info('Resuming saved game...');
+
+      const gameResult = await this.routeMessage('orchestrator', 'game-engine', {
+        type: 'LOAD_GAME',
+        payload: { snapshot }
+      });
+
+      if (!gameResult.success) {
+        throw new Error(`Failed to load game: ${gameResult.error}`);
+      }
+
+      await this.routeMessage('orchestrator', 'ui-controller', {
+        type: 'RENDER_FRAME',
+        payload: { gameState: gameResult.gameState, forceRender: true }
+      });
+
+      if (!skipLoop) {
+        this.startGameLoop();
+        this.isRunning = true;
+      }
+
+      this.logger.info('Game resumed successfully');
+
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Failed to resume game:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   startGameLoop() {
     let lastTime = performance.now();
 
@@ -338,7 +395,9 @@ class TetrisOrchestrator extends Orchestrator {
         payload: {
           piece: gameState.currentPiece,
           grid: gameState.grid,
-          nextPieces: gameState.nextPieces
+          nextPieces: gameState.nextPieces,
+          holdPiece: gameState.holdPiece,
+          canHold: gameState.canHold
         }
       });
 
@@ -1,6 +1,7 @@
 // Strands UI Controller Agent - Manages rendering and user interface
 import { Agent } from '../src/strands-sdk.js';
-import { Renderer } from '../src/renderer.js';
+import { getLayoutBounds } from '../src/renderer.js';
+import { createRenderer } from '../src/worker-renderer.js';
 
 class UIControllerAgent extends Agent {
   constructor(config = {}) {
@@ -83,11 +84,12 @@ class UIControllerAgent extends Agent {
       // Get or create UI canvas
       this.uiCanvas = document.getElementById('uiCanvas') || this.createCanvas('uiCanvas', 200, 600);
       
-      // Initialize renderer
-      this.renderer = new Renderer(this.gameCanvas, this.currentTheme);
+      // Initialize renderer: in a worker where OffscreenCanvas is supported, otherwise on this thread
+      this.renderer = createRenderer(this.gameCanvas, this.uiCanvas, this.currentTheme);
       
       // Setup input event listeners
       this.setupInputListeners();
+      this.handleResize();
       
       this.logger.info('Renderer initialized successfully');
     } catch (error) {
@@ -126,10 +128,13 @@ class UIControllerAgent extends Agent {
       this.handleTouchInput(event);
     });
     
-    // Window resize
+    // Window resize, and rotating a phone or tablet
     window.addEventListener('resize', () => {
       this.handleResize();
     });
+    window.addEventListener('orientationchange', () => {
+      this.handleResize();
+    });
   }
 
   async handleKeyboardInput(event) {
@@ -180,9 +185,10 @@ class UIControllerAgent extends Agent {
   }
 
   async handleTouchInput(event) {
-    // Convert touch to mouse-like input
+    // Playfield gestures and the button pad belong to the touch control layer (src/touch.js);
+    // other touches are converted to mouse-like input
     const touch = event.touches[0];
-    if (touch) {
+    if (touch && !touch.target.closest?.('#gameCanvas, #touchPad')) {
       const rect = touch.target.getBoundingClientRect();
       const x = touch.clientX - rect.left;
       const y = touch.clientY - rect.top;
@@ -272,6 +278,11 @@ class UIControllerAgent extends Agent {
       this.updateNextPiecesDisplay(gameState.nextPieces);
     }
     
+    // Update hold piece display
+    if (gameState.holdPiece !== undefined) {
+      this.updateHoldPieceDisplay(gameState.holdPiece, gameState.canHold);
+    }
+    
     // Update AI confidence if available
     if (gameState.aiConfidence !== undefined) {
       this.updateElement('aiConfidence', `${Math.round(gameState.aiConfidence * 100)}%`);
@@ -292,8 +303,8 @@ class UIControllerAgent extends Agent {
     // Clear existing display
     container.innerHTML = '';
     
-    // Render mini previews
-    nextPieces.slice(0, 3).forEach((piece, index) => {
+    // Render mini previews (the engine already limits the queue to the preview count)
+    nextPieces.forEach((piece, index) => {
       const canvas = document.createElement('canvas');
       canvas.width = 80;
       canvas.height = 60;
@@ -307,7 +318,7 @@ class UIControllerAgent extends Agent {
   renderMiniPiece(canvas, piece) {
     const ctx = canvas.getContext('2d');
     const blockSize = 12;
-    const colors = this.renderer.themes[this.currentTheme];
+    const colors = this.renderer.themes.get(this.currentTheme).palette;
     
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
@@ -333,20 +344,21 @@ class UIControllerAgent extends Agent {
     try {
       const { theme } = message.payload;
       
-      if (!['win95', 'dark'].includes(theme)) {
+      // Built-in or imported: anything in the renderer's theme registry
+      if (!this.renderer.themes.has(theme)) {
         throw new Error(`Invalid theme: ${theme}`);
       }
       
       this.currentTheme = theme;
       this.renderer.setTheme(theme);
       
-      // Update body class for CSS theming
-      document.body.className = `theme-${theme}`;
+      // Update body class for CSS theming; the page only styles the built-in looks
+      document.body.className = `theme-${this.renderer.themes.get(theme).page}`;
       
       // Update theme toggle button
       const themeButton = document.getElementById('themeToggle');
       if (themeButton) {
-        themeButton.textContent = theme === 'win95' ? 'Dark Mode' : 'Win95 Mode';
+        themeButton.textContent = `${this.renderer.themes.get(this.renderer.themes.next(theme)).name} Mode`;
       }
       
       this.logger.info(`Theme changed to: ${theme}`);
@@ -359,7 +371,7 @@ class UIControllerAgent extends Agent {
   }
 
   async handleToggleTheme(message = {}) {
-    const newTheme = this.currentTheme === 'win95' ? 'dark' : 'win95';
+    const newTheme = this.renderer.themes.next(this.currentTheme);
     return this.handleSetTheme({ payload: { theme: newTheme } });
   }
 
@@ -477,7 +489,7 @@ class UIControllerAgent extends Agent {
   }
 
   async handleGameStateUpdate(message) {
-    const { eventType, gameState } = message.payload;
+    const { eventType, eventData = {}, gameState } = message.payload;
     
     // Handle specific game events
     switch (eventType) {
@@ -485,10 +497,10 @@ class UIControllerAgent extends Agent {
         await this.showGameOverDialog(gameState);
         break;
       case 'LEVEL_UP':
-        await this.showLevelUpNotification(gameState.level);
+        await this.showLevelUpNotification(eventData.level);
         break;
       case 'LINE_CLEAR':
-        await this.handleAnimateLineClear({ payload: { lines: gameState.lastLinesCleared } });
+        await this.handleAnimateLineClear({ payload: { lines: eventData.rows } });
         break;
     }
     
@@ -497,8 +509,9 @@ class UIControllerAgent extends Agent {
   }
 
   async showGameOverDialog(gameState) {
+    const titles = { completed: 'Complete!', timeUp: 'Time Up!', failed: 'Puzzle Failed' };
     const content = `
-      <h2>Game Over!</h2>
+      <h2>${titles[gameState.outcome] || 'Game Over!'}</h2>
       <p>Final Score: ${gameState.score.toLocaleString()}</p>
       <p>Level Reached: ${gameState.level}</p>
       <p>Lines Cleared: ${gameState.lines}</p>
@@ -555,18 +568,11 @@ class UIControllerAgent extends Agent {
   }
 
   handleResize() {
-    // Adjust canvas sizes if needed
-    if (this.gameCanvas && this.uiCanvas) {
-      // Maintain aspect ratio
-      const container = this.gameCanvas.parentElement;
-      if (container) {
-        const containerWidth = container.clientWidth;
-        const scale = Math.min(1, containerWidth / 500); // 500px total width
-        
-        this.gameCanvas.style.transform = `scale(${scale})`;
-        this.uiCanvas.style.transform = `scale(${scale})`;
-      }
-    }
+    if (!this.renderer || !this.uiCanvas) return;
+    
+    // Block size follows the container and the backing stores follow devicePixelRatio; this is the same
+    // layout the game controller applies to these canvases, so the two renderers agree on the size
+    this.renderer.layout(getLayoutBounds(this.gameCanvas), this.uiCanvas);
   }
 
   startPerformanceMonitoring() {
@@ -737,9 +743,26 @@ class UIControllerAgent extends Agent {
     console.log(`Next piece: ${piece}`);
   }
 
-  updateHoldPieceDisplay(piece) {
-    // Stub implementation
-    console.log(`Hold piece: ${piece}`);
+  updateHoldPieceDisplay(piece, canHold = true) {
+    const container = document.getElementById('holdPiece');
+    if (!container) return;
+    
+    // Only rebuild the preview when the held piece or its availability changes
+    const displayKey = piece ? `${piece.type}:${canHold}` : 'empty';
+    if (this.holdDisplayKey === displayKey) return;
+    this.holdDisplayKey = displayKey;
+    
+    container.innerHTML = '';
+    if (!piece) return;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 80;
+    canvas.height = 60;
+    canvas.className = 'next-piece-preview';
+    canvas.style.opacity = canHold ? '1' : '0.4';
+    
+    this.renderMiniPiece(canvas, piece);
+    container.appendChild(canvas);
   }
 
   showReplayControls() {
@@ -778,6 +801,7 @@ class UIControllerAgent extends Agent {
     document.removeEventListener('click', this.handleMouseInput);
     document.removeEventListener('touchstart', this.handleTouchInput);
     window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('orientationchange', this.handleResize);
     
     await super.shutdown();
   }
@@ -3,6 +3,14 @@ const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
 const { S3Client } = require('@aws-sdk/client-s3');
 
+// Game states are GameEngine snapshots; reject versions this build cannot resume
+async function checkSnapshotVersion(gameState) {
+  const { SNAPSHOT_VERSION } = await import('../src/game-engine.js');
+  return gameState?.version === SNAPSHOT_VERSION
+    ? null
+    : `Unsupported snapshot version: ${gameState?.version}`;
+}
+
 class AWSCloudAdapter {
   constructor() {
     this.region = process.env.AWS_REGION || 'us-east-1';
@@ -31,14 +39,20 @@ class AWSCloudAdapter {
   }
 
   // Game State Management
-  async saveGameState(playerId, gameState) {
+  // Same contract as the Express /api/game-state route: an engine snapshot in, the same snapshot back out
+  async saveGameState(playerId, snapshot) {
     const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
     
+    const versionError = await checkSnapshotVersion(snapshot);
+    if (versionError) {
+      return { success: false, error: versionError };
+    }
+    
     const params = {
       TableName: process.env.DYNAMODB_GAME_STATE_TABLE || 'tetris-game-states',
       Item: {
         playerId: { S: playerId },
-        gameState: { S: JSON.stringify(gameState) },
+        gameState: { S: JSON.stringify(snapshot) },
         timestamp: { N: Date.now().toString() },
         ttl: { N: Math.floor(Date.now() / 1000 + 86400).toString() } // 24 hour TTL
       }
@@ -67,9 +81,15 @@ class AWSCloudAdapter {
       const result = await this.dynamoClient.send(new GetItemCommand(params));
       
       if (result.Item) {
+        const snapshot = JSON.parse(result.Item.gameState.S);
+        const versionError = await checkSnapshotVersion(snapshot);
+        if (versionError) {
+          return { success: false, error: versionError };
+        }
+        
         return {
           success: true,
-          gameState: JSON.parse(result.Item.gameState.S)
+          snapshot
         };
       }
       
@@ -84,6 +104,11 @@ class AWSCloudAdapter {
   async saveScore(playerId, score, level, lines, replay) {
     const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
     
+    // Practice games that used undo are flagged in their replay and never ranked
+    if (replay?.metadata?.usedUndo) {
+      return { success: false, error: 'Games that used undo cannot be ranked' };
+    }
+    
     const params = {
       TableName: process.env.DYNAMODB_LEADERBOARD_TABLE || 'tetris-leaderboard',
       Item: {
@@ -292,7 +317,7 @@ class AWSCloudAdapter {
         
         // Route requests
         if (httpMethod === 'POST' && path === '/api/game-state') {
-          response = await adapter.saveGameState(params.playerId, requestBody);
+          response = await adapter.saveGameState(params.playerId, requestBody.snapshot);
         } else if (httpMethod === 'GET' && path === '/api/game-state') {
           response = await adapter.loadGameState(params.playerId);
         } else if (httpMethod === 'POST' && path === '/api/scores') {
@@ -3,6 +3,14 @@ const { Firestore } = require('@google-cloud/firestore');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { Storage } = require('@google-cloud/storage');
 
+// Game states are GameEngine snapshots; reject versions this build cannot resume
+async function checkSnapshotVersion(gameState) {
+  const { SNAPSHOT_VERSION } = await import('../src/game-engine.js');
+  return gameState?.version === SNAPSHOT_VERSION
+    ? null
+    : `Unsupported snapshot version: ${gameState?.version}`;
+}
+
 class GCPCloudAdapter {
   constructor() {
     this.projectId = process.env.GOOGLE_CLOUD_PROJECT || 'tetris-game-project';
@@ -35,12 +43,18 @@ class GCPCloudAdapter {
   }
 
   // Game State Management
-  async saveGameState(playerId, gameState) {
+  // Same contract as the Express /api/game-state route: an engine snapshot in, the same snapshot back out
+  async saveGameState(playerId, snapshot) {
     try {
+      const versionError = await checkSnapshotVersion(snapshot);
+      if (versionError) {
+        return { success: false, error: versionError };
+      }
+
       const docRef = this.firestore.collection('gameStates').doc(playerId);
       
       await docRef.set({
-        gameState: gameState,
+        gameState: snapshot,
         timestamp: new Date(),
         ttl: new Date(Date.now() + 86400000) // 24 hours
       });
@@ -66,9 +80,15 @@ class GCPCloudAdapter {
           return { success: false, error: 'Game state expired' };
         }
 
+        // Snapshots saved by an older build can no longer be resumed
+        const versionError = await checkSnapshotVersion(data.gameState);
+        if (versionError) {
+          return { success: false, error: versionError };
+        }
+
         return {
           success: true,
-          gameState: data.gameState
+          snapshot: data.gameState
         };
       }
 
@@ -81,6 +101,11 @@ class GCPCloudAdapter {
 
   // Leaderboard Management
   async saveScore(playerId, score, level, lines, replay) {
+    // Practice games that used undo are flagged in their replay and never ranked
+    if (replay?.metadata?.usedUndo) {
+      return { success: false, error: 'Games that used undo cannot be ranked' };
+    }
+
     try {
       const scoresRef = this.firestore.collection('leaderboard');
       
@@ -328,7 +353,7 @@ class GCPCloudAdapter {
 
         // Route requests
         if (method === 'POST' && path === '/api/game-state') {
-          response = await adapter.saveGameState(query.playerId, body);
+          response = await adapter.saveGameState(query.playerId, body.snapshot);
         } else if (method === 'GET' && path === '/api/game-state') {
           response = await adapter.loadGameState(query.playerId);
         } else if (method === 'POST' && path === '/api/scores') {
@@ -0,0 +1,30 @@
+// Confirms every puzzle in public/puzzles parses and is solvable by the AI predictor
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AIPredictorAgent } from '../agents/ai-predictor-agent.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUZZLE_DIR = path.join(__dirname, '..', 'public', 'puzzles');
+
+async function main() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PUZZLE_DIR, 'index.json'), 'utf8'));
+  const agent = new AIPredictorAgent();
+  let failures = 0;
+
+  for (const entry of manifest) {
+    const puzzle = JSON.parse(fs.readFileSync(path.join(PUZZLE_DIR, entry.file), 'utf8'));
+    const result = await agent.handleMessage({ type: 'VALIDATE_PUZZLE', payload: { puzzle } });
+
+    if (result.success && result.solvable) {
+      console.log(`✅ ${entry.id}: solved in ${result.solution.length} pieces (${result.nodes} positions searched)`);
+    } else {
+      failures++;
+      console.error(`❌ ${entry.id}: ${result.error || `no solution found in ${result.nodes} positions`}`);
+    }
+  }
+
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,141 @@
+// Finesse: compares the presses used to place each piece with the fewest that reach the same spot
+import { Tetromino } from './game-engine.js';
+import { ROTATION_TURNS, getKicks } from './kick-tables.js';
+
+// Every press costs one input, including a held direction that DASes into the wall
+const MOVES = ['left', 'right', 'wallLeft', 'wallRight', 'cw', 'ccw', '180'];
+
+// Shortest input counts by placement, cached per piece type and board layout
+const searchCache = new Map();
+
+// Filled cells as [col, row] pairs
+function getCells(type, rotation) {
+  const piece = new Tetromino(type);
+  piece.rotation = rotation;
+
+  const cells = [];
+  piece.getShape().forEach((row, y) => row.forEach((cell, x) => {
+    if (cell !== 0) cells.push([x, y]);
+  }));
+  return cells;
+}
+
+// Placements are compared by the cells they cover, so an I piece's two flat rotations count as the same spot
+function getPlacementKey(type, x, rotation) {
+  const cells = getCells(type, rotation);
+  const left = Math.min(...cells.map(([col]) => col));
+  const top = Math.min(...cells.map(([, row]) => row));
+  const shape = cells.map(([col, row]) => `${col - left},${row - top}`).sort().join(' ');
+  return `${x + left}|${shape}`;
+}
+
+function fits(type, x, rotation, width) {
+  return getCells(type, rotation).every(([col]) => x + col >= 0 && x + col < width);
+}
+
+// Where one press takes the piece on an empty board, or null if it can't move
+function applyMove(move, type, x, rotation, { width, rotationSystem }) {
+  if (move === 'left' || move === 'right') {
+    const next = x + (move === 'left' ? -1 : 1);
+    return fits(type, next, rotation, width) ? { x: next, rotation } : null;
+  }
+
+  if (move === 'wallLeft' || move === 'wallRight') {
+    const step = move === 'wallLeft' ? -1 : 1;
+    let next = x;
+    while (fits(type, next + step, rotation, width)) next += step;
+    return next !== x ? { x: next, rotation } : null;
+  }
+
+  // Kicks only matter against the walls here; the first one that fits is the one the engine takes
+  const nextRotation = (rotation + ROTATION_TURNS[move] + 4) % 4;
+  const kick = getKicks(rotationSystem, type, rotation, nextRotation)
+    .find(({ x: dx }) => fits(type, x + dx, nextRotation, width));
+  return kick ? { x: x + kick.x, rotation: nextRotation } : null;
+}
+
+// Breadth-first search from the spawn position over every column and rotation
+function searchPlacements(type, rules) {
+  const cacheKey = `${rules.rotationSystem}:${type}:${rules.width}:${rules.spawnX}`;
+  if (searchCache.has(cacheKey)) return searchCache.get(cacheKey);
+
+  const distances = new Map();
+  const seen = new Set([`${rules.spawnX}:0`]);
+  let frontier = [{ x: rules.spawnX, rotation: 0 }];
+
+  for (let inputs = 0; frontier.length > 0; inputs++) {
+    const next = [];
+    frontier.forEach(({ x, rotation }) => {
+      const key = getPlacementKey(type, x, rotation);
+      if (!distances.has(key)) distances.set(key, inputs);
+
+      MOVES.forEach(move => {
+        const result = applyMove(move, type, x, rotation, rules);
+        if (!result || seen.has(`${result.x}:${result.rotation}`)) return;
+        seen.add(`${result.x}:${result.rotation}`);
+        next.push(result);
+      });
+    });
+    frontier = next;
+  }
+
+  searchCache.set(cacheKey, distances);
+  return distances;
+}
+
+// Fewest presses that put a piece at this column and rotation, or null if a hard drop can't reach it (a tuck or spin)
+function getMinimalInputs(type, x, rotation, rules) {
+  const distance = searchPlacements(type, rules).get(getPlacementKey(type, x, rotation));
+  return distance ?? null;
+}
+
+class FinesseTracker {
+  constructor(rules) {
+    this.rules = rules;
+    this.pieces = 0; // Pieces judged so far
+    this.faults = 0; // Extra presses across the game
+    this.lastFaults = 0;
+    this.resetPiece();
+  }
+
+  // Counts fresh presses; auto-repeat moves come from a press already counted
+  recordInput(action) {
+    if (action.repeat) return;
+
+    if (action.type === 'move' || action.type === 'rotate') {
+      this.inputs++;
+    }
+    if (action.type === 'softDrop' && action.active) {
+      this.softDropped = true;
+    }
+  }
+
+  // Hold and undo start the count over for the piece that comes into play
+  resetPiece() {
+    this.inputs = 0;
+    this.softDropped = false;
+  }
+
+  // Judges the piece that just locked; returns null for placements finesse can't judge
+  recordLock({ type, x, rotation }) {
+    const inputs = this.inputs;
+    const softDropped = this.softDropped;
+    this.resetPiece();
+
+    // Soft-dropped pieces may be tucked or spun into spots a hard drop can't reach
+    const optimal = softDropped ? null : getMinimalInputs(type, x, rotation, this.rules);
+    if (optimal === null) return null;
+
+    const faults = Math.max(0, inputs - optimal);
+    this.pieces++;
+    this.faults += faults;
+    this.lastFaults = faults;
+    return { type, x, rotation, inputs, optimal, faults };
+  }
+
+  getStats() {
+    return { pieces: this.pieces, faults: this.faults, lastFaults: this.lastFaults };
+  }
+}
+
+export { getPlacementKey, getMinimalInputs, FinesseTracker };
@@ -1,16 +1,51 @@
 // Main game controller with input handling and game loop
 import { GameEngine } from './game-engine.js';
-import { Renderer } from './renderer.js';
+import { getLayoutBounds } from './renderer.js';
+import { createRenderer } from './worker-renderer.js';
 import { ReplaySystem } from './replay-system.js';
+import { formatTime } from './modes.js';
+import { ENGINE_ACTIONS, InputHandler, bufferInputs, resolveHandling } from './input.js';
+import { KeyBindings } from './keybindings.js';
+import { GamepadInput } from './gamepad.js';
+import { TouchInput } from './touch.js';
+import { FinesseTracker } from './finesse.js';
+
+// localStorage key for the autosaved game offered by "Resume Game"
+const SAVED_GAME_KEY = 'tetris-saved-game';
+
+// localStorage keys for the player's DAS/ARR handling settings and key bindings
+const HANDLING_KEY = 'tetris-handling';
+const KEY_BINDINGS_KEY = 'tetris-keybindings';
+const GAMEPAD_KEY = 'tetris-gamepads';
+const TOUCH_KEY = 'tetris-touch';
+
+// localStorage keys for imported theme definitions and the theme in use
+const THEMES_KEY = 'tetris-themes';
+const THEME_KEY = 'tetris-theme';
 
 class GameController {
-  constructor(gameCanvas, uiCanvas) {
-    this.gameEngine = new GameEngine();
-    this.renderer = new Renderer(gameCanvas);
+  // A canvas can only be handed to one worker, so the app passes in the UI agent's renderer when it has one
+  constructor(gameCanvas, uiCanvas, renderer = createRenderer(gameCanvas, uiCanvas)) {
+    this.renderer = renderer;
+    // The renderer times its own drawing; in a worker that happens after render() here has returned
+    this.renderer.onRenderTime = (renderTime) => {
+      if (this.onRenderTime) this.onRenderTime(renderTime);
+    };
+    this.createEngine();
     this.uiCanvas = uiCanvas;
 
-    this.inputHandler = new InputHandler();
+    this.keyBindings = this.loadKeyBindings();
+    this.inputHandler = new InputHandler(this.getHandling(), this.keyBindings);
+    this.gamepadInput = this.createGamepadInput();
+    this.touchInput = this.createTouchInput();
+    this.gamepadPolling = false;
+    this.onGamepadsChanged = null; // Set by the app to refresh the controller list
+    this.onRenderTime = null; // Set by the app to report each frame's render time (ms)
+    this.inputDevices = []; // Keyboard and controller types used this game, for the replay
+    this.pendingActions = []; // Presses and releases waiting for the next engine tick
     this.replaySystem = new ReplaySystem();
+    this.gameOptions = {};
+    this.appliedTheme = renderer.theme; // The player's chosen theme; a preview may be showing instead
 
     this.isRunning = false;
     this.lastTime = 0;
@@ -19,64 +54,316 @@ class GameController {
 
     this.setupEventListeners();
     this.setupGameLoop();
+    this.layout();
+    this.loadThemes();
+  }
+
+  // Fits both canvases to the page at the screen's pixel ratio, then redraws what resizing cleared
+  layout() {
+    this.renderer.layout(getLayoutBounds(this.renderer.canvas), this.uiCanvas);
+    this.render();
   }
 
   setupEventListeners() {
     // Keyboard input
     document.addEventListener('keydown', (e) => {
+      // Typing into a settings field shouldn't also play the game
+      if (e.target.closest?.('input, textarea, select')) return;
       this.handleKeyPress(e.key);
     });
+
+    document.addEventListener('keyup', (e) => {
+      this.handleKeyRelease(e.key);
+    });
+
+    // Gamepads are hot-pluggable; polling only runs while one is connected
+    window.addEventListener('gamepadconnected', (e) => {
+      this.gamepadInput.connect(e.gamepad);
+      this.startGamepadPolling();
+      if (this.onGamepadsChanged) this.onGamepadsChanged();
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+      this.handleDeviceEvents(this.gamepadInput.disconnect(e.gamepad));
+      if (this.onGamepadsChanged) this.onGamepadsChanged();
+    });
+
+    this.setupTouchListeners();
+
+    // Keyups are missed while the window is in the background, so treat blur as releasing everything
+    window.addEventListener('blur', () => {
+      this.queueActions(this.inputHandler.releaseAll());
+    });
+
+    // Re-fit the canvases when the window resizes or the device rotates
+    window.addEventListener('resize', () => this.layout());
+    window.addEventListener('orientationchange', () => this.layout());
+
+    // Keep the game resumable when the tab is closed or reloaded
+    window.addEventListener('beforeunload', () => {
+      this.saveGame();
+    });
   }
 
   handleKeyPress(key) {
-    if (this.gameEngine.gameState !== 'playing') return;
+    this.handleAction(this.inputHandler.keyDown(key), 'keyboard');
+  }
+
+  handleKeyRelease(key) {
+    const action = this.inputHandler.keyUp(key);
+    if (action) this.queueActions([action], 'keyboard');
+  }
 
-    const action = this.inputHandler.mapKeyToAction(key);
+  // Presses from any device: controller actions run straight away, engine actions wait for the next tick
+  handleAction(action, device) {
     if (!action) return;
 
-    // Record input for replay
-    this.replaySystem.recordInput(action, Date.now());
-
-    // Execute action
-    switch (action.type) {
-      case 'move':
-        this.gameEngine.movePiece(action.direction);
-        break;
-      case 'rotate':
-        this.gameEngine.rotatePiece();
-        break;
-      case 'drop':
-        this.hardDrop();
-        break;
-      case 'pause':
-        this.togglePause();
-        break;
+    // Undo, redo and restart also work while paused or after topping out
+    if (action.type === 'undo' || action.type === 'redo' || action.type === 'restart') {
+      this[action.type]();
+      return;
+    }
+
+    if (this.gameEngine.gameState !== 'playing') return;
+
+    if (action.type === 'pause') {
+      this.togglePause();
+      return;
+    }
+
+    if (ENGINE_ACTIONS.includes(action.type)) {
+      this.queueActions([action], device);
     }
   }
 
-  hardDrop() {
-    let dropDistance = 0;
-    while (this.gameEngine.movePiece('down')) {
-      dropDistance++;
+  // Releases are kept while paused so a key let go during the pause still ends its soft drop
+  queueActions(actions, device = 'keyboard') {
+    this.pendingActions.push(...actions);
+
+    if (actions.length > 0 && !this.inputDevices.includes(device)) {
+      this.inputDevices.push(device);
+      this.replaySystem.updateGameInfo({ inputDevices: [...this.inputDevices] });
     }
+  }
 
-    // Bonus points for hard drop
-    this.gameEngine.score += dropDistance * 2;
+  handleDeviceEvents(events) {
+    events.forEach(({ action, device, release }) => {
+      if (release) {
+        this.queueActions([action], device);
+      } else {
+        this.handleAction(action, device);
+      }
+    });
+  }
 
-    // Animate drop
-    this.renderer.animatePieceDrop(this.gameEngine.currentPiece);
+  createGamepadInput() {
+    try {
+      return new GamepadInput(this.inputHandler, this.getGamepadSettings());
+    } catch (error) {
+      console.warn('Ignoring saved gamepad settings:', error);
+      return new GamepadInput(this.inputHandler);
+    }
   }
 
-  toggleTheme() {
-    const currentTheme = this.renderer.theme;
-    const newTheme = currentTheme === 'win95' ? 'dark' : 'win95';
-    this.renderer.setTheme(newTheme);
+  getGamepadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(GAMEPAD_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Persists the deadzone and every controller's layout, keyed by controller type
+  saveGamepadSettings() {
+    localStorage.setItem(GAMEPAD_KEY, JSON.stringify({
+      deadzone: this.gamepadInput.deadzone,
+      bindings: this.gamepadInput.getSavedBindings()
+    }));
+  }
+
+  // Gestures on the playfield, and the on-screen pad's buttons held like keys
+  setupTouchListeners() {
+    const canvas = this.renderer.canvas;
+    const handleTouches = (handler) => (e) => {
+      if (this.touchInput.settings.mode !== 'gestures') return;
+      e.preventDefault(); // No scrolling or zooming while playing
+
+      const rect = canvas.getBoundingClientRect();
+      for (const touch of e.changedTouches) {
+        const x = touch.clientX - rect.left;
+        const y = touch.clientY - rect.top;
+        this.handleDeviceEvents(this.touchInput[handler](touch.identifier, x, y, e.timeStamp, rect.width));
+      }
+    };
+
+    canvas.addEventListener('touchstart', handleTouches('touchStart'), { passive: false });
+    canvas.addEventListener('touchmove', handleTouches('touchMove'), { passive: false });
+    canvas.addEventListener('touchend', handleTouches('touchEnd'), { passive: false });
+    canvas.addEventListener('touchcancel', handleTouches('touchCancel'), { passive: false });
+
+    document.querySelectorAll('[data-touch-action]').forEach(button => {
+      const name = button.dataset.touchAction;
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.handleDeviceEvents(this.touchInput.pressButton(name));
+      });
+      ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+        button.addEventListener(type, () => this.handleDeviceEvents(this.touchInput.releaseButton(name)));
+      });
+    });
+
+    this.applyTouchSettings();
+  }
+
+  createTouchInput() {
+    try {
+      return new TouchInput(this.inputHandler, JSON.parse(localStorage.getItem(TOUCH_KEY)) || {});
+    } catch (error) {
+      console.warn('Ignoring saved touch settings:', error);
+      return new TouchInput(this.inputHandler);
+    }
+  }
+
+  // Applies and persists touch settings, e.g. { mode: 'buttons' }; invalid values throw
+  setTouchSettings(settings) {
+    this.touchInput.setSettings(settings);
+    localStorage.setItem(TOUCH_KEY, JSON.stringify(this.touchInput.settings));
+    this.applyTouchSettings();
+  }
+
+  // The button pad only shows in buttons mode
+  applyTouchSettings() {
+    const pad = document.getElementById('touchPad');
+    if (!pad) return;
+
+    const { mode, buttonScale } = this.touchInput.settings;
+    pad.classList.toggle('active', mode === 'buttons');
+    pad.style.setProperty('--touch-scale', buttonScale);
+  }
+
+  startGamepadPolling() {
+    if (this.gamepadPolling || typeof navigator === 'undefined' || !navigator.getGamepads) return;
+    this.gamepadPolling = true;
+
+    const poll = () => {
+      this.handleDeviceEvents(this.gamepadInput.poll());
+
+      // Keep polling while a pad is connected; a new connect event restarts it
+      if (this.gamepadInput.pads.size > 0) {
+        requestAnimationFrame(poll);
+      } else {
+        this.gamepadPolling = false;
+      }
+    };
+    poll();
+  }
+
+  // Runs before every engine tick: this frame's presses first, then DAS/ARR repeats.
+  // Between pieces, presses are buffered for the next spawn instead of being lost
+  processInput() {
+    const actions = bufferInputs(this.pendingActions.splice(0), this.inputHandler.update(), this.gameEngine);
+
+    actions.forEach(action => {
+      // Record input for replay against the tick the engine receives it on; the `buffered` flag
+      // tells the engine (and a replay of its input log) to hold it for the next spawn
+      this.replaySystem.recordInput(action, this.gameEngine.tickCount);
+      this.finesse.recordInput(action);
+
+      // Animate drop from where the piece was before it falls
+      if (action.type === 'drop') {
+        this.renderer.animatePieceDrop(this.gameEngine.getState().currentPiece);
+      }
+
+      this.gameEngine.queueInput(action);
+    });
+  }
+
+  getHandling() {
+    try {
+      return resolveHandling(JSON.parse(localStorage.getItem(HANDLING_KEY)) || {});
+    } catch {
+      return resolveHandling();
+    }
+  }
+
+  // Applies and persists handling settings, e.g. { das: 100, arr: 0 }; invalid values throw
+  setHandling(settings) {
+    this.inputHandler.setHandling(settings);
+    localStorage.setItem(HANDLING_KEY, JSON.stringify(this.inputHandler.handling));
+  }
+
+  loadKeyBindings() {
+    try {
+      return new KeyBindings(JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)) || {});
+    } catch (error) {
+      console.warn('Ignoring saved key bindings:', error);
+      return new KeyBindings();
+    }
+  }
+
+  // Persists the registry after the rebinding dialog changes it
+  saveKeyBindings() {
+    localStorage.setItem(KEY_BINDINGS_KEY, this.keyBindings.export());
+  }
+
+  undo() {
+    if (this.gameEngine.undo()) this.afterHistoryStep();
+  }
+
+  redo() {
+    if (this.gameEngine.redo()) this.afterHistoryStep();
+  }
+
+  afterHistoryStep() {
+    // Flag the recording too, so the replay can't be submitted to a leaderboard
+    this.replaySystem.updateGameInfo({ usedUndo: true });
+    this.finesse.resetPiece();
+
+    // Undoing a top-out puts the game back in play
+    const dialog = document.getElementById('gameOverDialog');
+    if (dialog) dialog.style.display = 'none';
+
+    if (this.gameEngine.gameState === 'playing' && !this.isRunning) {
+      this.isRunning = true;
+      this.lastTime = performance.now();
+      this.gameLoop();
+    } else {
+      this.render();
+    }
+  }
+
+  // Registers the themes imported in earlier sessions, then switches to the one last applied
+  loadThemes() {
+    try {
+      (JSON.parse(localStorage.getItem(THEMES_KEY)) || []).forEach(theme => this.renderer.themes.register(theme));
+    } catch (error) {
+      console.warn('Ignoring saved themes:', error);
+    }
+    this.restoreTheme();
+  }
 
-    // Update UI theme
-    document.body.classList.remove(`theme-${currentTheme}`);
-    document.body.classList.add(`theme-${newTheme}`);
+  // Also called once the themes shipped with the game have loaded, in case the saved one is among them
+  restoreTheme() {
+    const saved = localStorage.getItem(THEME_KEY);
+    if (saved && this.renderer.themes.has(saved)) this.appliedTheme = saved;
+    this.previewTheme(this.appliedTheme);
+  }
+
+  saveThemes() {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(this.renderer.themes.getCustomThemes()));
+  }
 
-    if (newTheme === 'dark') {
+  // Draws the board in a theme and restyles the page around it, without remembering the choice
+  previewTheme(id) {
+    const { page } = this.renderer.themes.get(id);
+    const next = this.renderer.themes.get(this.renderer.themes.next(id));
+    this.renderer.setTheme(id);
+
+    // The page stylesheet only knows the built-in looks; each theme picks one
+    document.body.classList.remove('theme-win95', 'theme-dark');
+    document.body.classList.add(`theme-${page}`);
+
+    if (page === 'dark') {
       document.documentElement.setAttribute('data-theme', 'dark');
     } else {
       document.documentElement.removeAttribute('data-theme');
@@ -84,8 +371,35 @@ class GameController {
 
     const themeToggle = document.getElementById('themeToggle');
     if (themeToggle) {
-      themeToggle.textContent = newTheme === 'win95' ? 'Dark Mode' : 'Win95 Mode';
+      themeToggle.textContent = `${next.name} Mode`;
+    }
+
+    const themeSelect = document.getElementById('themeSelect');
+    if (themeSelect) {
+      themeSelect.value = id;
     }
+    this.render();
+  }
+
+  setTheme(id) {
+    this.previewTheme(id);
+    this.appliedTheme = id;
+    localStorage.setItem(THEME_KEY, id);
+  }
+
+  toggleTheme() {
+    this.setTheme(this.renderer.themes.next(this.renderer.theme));
+  }
+
+  // Adds (or replaces) a theme from exported JSON and keeps it for later sessions; returns its definition
+  importTheme(json) {
+    const theme = this.renderer.themes.import(json);
+    this.saveThemes();
+    return theme;
+  }
+
+  exportTheme(id = this.renderer.theme) {
+    return this.renderer.themes.export(id);
   }
 
   togglePause() {
@@ -93,6 +407,7 @@ class GameController {
     if (this.gameEngine.gameState === 'playing') {
       this.gameEngine.gameState = 'paused';
       this.isRunning = false;
+      this.saveGame();
       if (pauseBtn) pauseBtn.textContent = 'Resume';
       this.render(); // Ensure paused state is rendered (showing overlay)
     } else if (this.gameEngine.gameState === 'paused') {
@@ -103,19 +418,132 @@ class GameController {
     }
   }
 
+  createEngine(options = {}) {
+    this.attachEngine(new GameEngine(options));
+  }
+
+  attachEngine(engine) {
+    this.gameEngine = engine;
+
+    // Flash full rows while they wait out the line clear delay, before the stack collapses over them
+    this.gameEngine.on('pieceLocked', ({ lines, rows }) => {
+      if (lines > 0) this.renderer.animateLineClear(rows);
+    });
+
+    // Autosave after every placed piece
+    this.gameEngine.on('pieceLocked', () => this.saveGame());
+
+    // Finesse is judged per placement and kept with the replay
+    this.finesse = new FinesseTracker(engine.rules);
+    this.gameEngine.on('pieceLocked', (event) => {
+      const result = this.finesse.recordLock(event);
+      if (result) this.replaySystem.recordFinesse(result, this.gameEngine.tickCount);
+    });
+    this.gameEngine.on('holdUsed', () => this.finesse.resetPiece());
+
+    // DAS cut: a held direction pauses briefly on each new piece
+    this.gameEngine.on('pieceSpawned', () => this.inputHandler.cutDas());
+    this.pendingActions = [];
+  }
+
   restart() {
-    this.gameEngine = new GameEngine();
+    this.createEngine(this.gameOptions);
     this.replaySystem.reset();
     this.start();
   }
 
-  start() {
+  // Passing options (e.g. { mode: 'sprint' }) starts a fresh engine with them
+  start(options) {
+    if (options) {
+      this.gameOptions = options;
+      this.createEngine(options);
+      this.replaySystem.reset();
+    }
+
+    this.startRecording();
+    this.renderHighScores();
     this.gameEngine.spawnNewPiece();
     this.isRunning = true;
     this.lastTime = performance.now();
+
+    // Restarting mid-game must not leave the old loop running alongside the new one
+    cancelAnimationFrame(this.animationFrame);
     this.gameLoop();
   }
 
+  startRecording() {
+    this.inputDevices = [];
+    this.replaySystem.startRecording({
+      seed: this.gameEngine.seed,
+      randomizer: this.gameEngine.randomizerType,
+      rules: this.gameEngine.rules.preset,
+      scoring: this.gameEngine.scoringType,
+      mode: this.gameEngine.modeType,
+      level: this.gameEngine.startLevel
+    });
+  }
+
+  saveGame() {
+    if (!['playing', 'paused'].includes(this.gameEngine.gameState)) return;
+
+    try {
+      // Saved after every lock, so without the input log; the replay system records the inputs
+      localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(this.gameEngine.serialize({ inputLog: false })));
+    } catch (error) {
+      console.warn('Failed to save game:', error);
+    }
+  }
+
+  getSavedGame() {
+    try {
+      return JSON.parse(localStorage.getItem(SAVED_GAME_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  hasSavedGame() {
+    return this.getSavedGame() !== null;
+  }
+
+  clearSavedGame() {
+    localStorage.removeItem(SAVED_GAME_KEY);
+  }
+
+  // Restores the autosaved game; returns false when there is nothing valid to resume
+  resume() {
+    const snapshot = this.getSavedGame();
+    if (!snapshot) return false;
+
+    let engine;
+    try {
+      engine = GameEngine.fromSnapshot(snapshot);
+    } catch (error) {
+      console.warn('Discarding saved game:', error);
+      this.clearSavedGame();
+      return false;
+    }
+
+    this.gameOptions = snapshot.options;
+    this.attachEngine(engine);
+    this.replaySystem.reset();
+    this.startRecording();
+    this.renderHighScores();
+
+    // A game saved while paused comes back paused
+    this.isRunning = engine.gameState === 'playing';
+    const pauseBtn = document.getElementById('pauseBtn');
+    if (pauseBtn) pauseBtn.textContent = this.isRunning ? 'Pause' : 'Resume';
+
+    this.lastTime = performance.now();
+    if (this.isRunning) {
+      this.gameLoop();
+    } else {
+      this.render();
+    }
+    return true;
+  }
+
   setupGameLoop() {
     // Performance monitoring
     setInterval(() => {
@@ -139,15 +567,15 @@ class GameController {
     this.render();
 
     // Continue loop
-    requestAnimationFrame((time) => this.gameLoop(time));
+    this.animationFrame = requestAnimationFrame((time) => this.gameLoop(time));
   }
 
   update(deltaTime) {
-    // Update game engine
-    this.gameEngine.update(deltaTime);
+    // Update game engine; long stalls (e.g. a background tab) are capped rather than fast-forwarded
+    this.gameEngine.update(Math.min(deltaTime, 250), () => this.processInput());
 
     // Record game state for replay
-    this.replaySystem.recordState(this.gameEngine.getState(), Date.now());
+    this.replaySystem.recordState(this.gameEngine.getState());
 
     // Check for game over
     if (this.gameEngine.gameState === 'gameOver') {
@@ -161,36 +589,32 @@ class GameController {
     // Render game grid
     this.renderer.render(gameState);
 
-    // Render UI panels
-    this.renderer.renderUI(gameState, this.uiCanvas);
+    // Render UI panels, with the live finesse count and the current key bindings alongside the engine state
+    const controls = this.keyBindings.getSummary();
+    this.renderer.renderUI({ ...gameState, finesse: this.finesse.getStats(), controls }, this.uiCanvas);
 
     // Update HTML UI elements
     this.updateUIElements(gameState);
   }
 
+  // Only touches the DOM for values that changed since the last frame
   updateUIElements(gameState) {
-    // Update score display
-    const scoreElement = document.getElementById('score');
-    if (scoreElement) {
-      scoreElement.textContent = gameState.score.toLocaleString();
-    }
-
-    // Update level display
-    const levelElement = document.getElementById('level');
-    if (levelElement) {
-      levelElement.textContent = gameState.level;
-    }
-
-    // Update lines display
-    const linesElement = document.getElementById('lines');
-    if (linesElement) {
-      linesElement.textContent = gameState.lines;
-    }
+    this.updateElement('score', gameState.score.toLocaleString());
+    this.updateElement('level', String(gameState.level));
+    this.updateElement('lines', String(gameState.lines));
+    this.updateElement('gameState', gameState.gameState);
+
+    // Undo/redo buttons only apply in practice
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) undoBtn.disabled = !gameState.canUndo;
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) redoBtn.disabled = !gameState.canRedo;
+  }
 
-    // Update game state display
-    const stateElement = document.getElementById('gameState');
-    if (stateElement) {
-      stateElement.textContent = gameState.gameState;
+  updateElement(id, value) {
+    const element = document.getElementById(id);
+    if (element && element.textContent !== value) {
+      element.textContent = value;
     }
   }
 
@@ -203,6 +627,7 @@ class GameController {
 
   handleGameOver() {
     this.isRunning = false;
+    this.clearSavedGame();
 
     // Save high score
     this.saveHighScore();
@@ -215,38 +640,71 @@ class GameController {
   }
 
   saveHighScore() {
-    const currentScore = this.gameEngine.score;
-    const highScores = this.getHighScores();
-
-    highScores.push({
-      score: currentScore,
+    const { mode } = this.gameEngine;
+    const result = {
+      score: this.gameEngine.score,
       level: this.gameEngine.level,
       lines: this.gameEngine.lines,
+      time: Math.round(this.gameEngine.elapsedTime),
+      outcome: this.gameEngine.outcome,
       date: new Date().toISOString(),
       replay: this.replaySystem.getReplayData()
-    });
+    };
+
+    // A Sprint or Cheese game that topped out has no time to rank; undone games never rank
+    if (!mode.qualifies(result) || this.gameEngine.usedUndo) return;
 
-    // Sort and keep top 10
-    highScores.sort((a, b) => b.score - a.score);
+    const highScores = this.getHighScores(mode.type);
+    highScores.push(result);
+
+    // Sort by the mode's ranking and keep top 10
+    highScores.sort((a, b) => mode.compareResults(a, b));
     const topScores = highScores.slice(0, 10);
 
-    localStorage.setItem('tetris-highscores', JSON.stringify(topScores));
+    localStorage.setItem(this.getHighScoreKey(mode.type), JSON.stringify(topScores));
+    this.renderHighScores();
   }
 
-  getHighScores() {
+  getHighScores(modeType = this.gameEngine.modeType) {
     try {
-      return JSON.parse(localStorage.getItem('tetris-highscores') || '[]');
+      return JSON.parse(localStorage.getItem(this.getHighScoreKey(modeType)) || '[]');
     } catch {
       return [];
     }
   }
 
+  getHighScoreKey(modeType) {
+    // Marathon keeps the original key so existing tables carry over
+    return modeType === 'marathon' ? 'tetris-highscores' : `tetris-highscores-${modeType}`;
+  }
+
+  renderHighScores() {
+    const container = document.getElementById('highScores');
+    if (!container) return;
+
+    const { mode } = this.gameEngine;
+    const entries = this.getHighScores(mode.type).map((entry, index) => {
+      const value = mode.rankBy === 'time' ? formatTime(entry.time) : entry.score.toLocaleString();
+      return `<div>${index + 1}. ${value}</div>`;
+    });
+
+    container.innerHTML = `<div>${mode.name}</div>${entries.join('') || '<div>No scores yet</div>'}`;
+  }
+
   showGameOverDialog() {
     const dialog = document.getElementById('gameOverDialog');
     if (dialog) {
+      const title = document.getElementById('gameOverTitle');
+      if (title) {
+        const titles = { completed: 'Complete!', timeUp: 'Time Up!', failed: 'Puzzle Failed' };
+        title.textContent = titles[this.gameEngine.outcome] || 'Game Over';
+      }
+
       const finalScore = document.getElementById('finalScore');
       if (finalScore) {
-        finalScore.textContent = this.gameEngine.score.toLocaleString();
+        finalScore.textContent = this.gameEngine.mode.rankBy === 'time' && this.gameEngine.outcome === 'completed'
+          ? formatTime(this.gameEngine.elapsedTime)
+          : this.gameEngine.score.toLocaleString();
       }
 
       dialog.style.display = 'block';
@@ -309,36 +767,4 @@ class GameController {
   }
 }
 
-class InputHandler {
-  constructor() {
-    this.keyMappings = {
-      'ArrowLeft': { type: 'move', direction: 'left' },
-      'ArrowRight': { type: 'move', direction: 'right' },
-      'ArrowDown': { type: 'move', direction: 'down' },
-      'ArrowUp': { type: 'rotate' },
-      ' ': { type: 'drop' },
-      'Escape': { type: 'pause' },
-      'p': { type: 'pause' },
-      'P': { type: 'pause' }
-    };
-
-    this.lastInputTime = 0;
-    this.inputDelay = 50; // ms between inputs
-  }
-
-  mapKeyToAction(key) {
-    const now = Date.now();
-    if (now - this.lastInputTime < this.inputDelay) {
-      return null; // Debounce rapid inputs
-    }
-
-    this.lastInputTime = now;
-    return this.keyMappings[key] || null;
-  }
-
-  setKeyMapping(key, action) {
-    this.keyMappings[key] = action;
-  }
-}
-
 export { GameController, InputHandler };
\ No newline at end of file
@@ -1,43 +1,238 @@
 // Core Tetris game engine with optimized collision detection
+import { createRandomizer, generateSeed, SeededRandom, SequenceRandomizer } from './randomizer.js';
+import { resolveRules } from './rules.js';
+import { ROTATION_TURNS, getKicks } from './kick-tables.js';
+import { createScoring } from './scoring.js';
+import { createMode } from './modes.js';
+import { GarbageQueue } from './garbage.js';
+import { parsePuzzle, describeGoal, PuzzleMode } from './puzzles.js';
+import { MAX_GRAVITY, getGravity, getLevel } from './gravity.js';
+
+const CLEAR_NAMES = ['', 'Single', 'Double', 'Triple', 'Tetris'];
+
+// The simulation advances in fixed ticks so identical inputs always replay identically
+const TICK_RATE = 60;
+const TICK_MS = 1000 / TICK_RATE;
+// Absorbs float error so that 60 ticks of 1/60 G always add up to one row
+const GRAVITY_EPSILON = 1e-9;
+
+const INPUT_TYPES = ['move', 'rotate', 'drop', 'hold', 'softDrop'];
+
+function msToTicks(ms) {
+  return Math.round(ms * TICK_RATE / 1000);
+}
+
+// Undo steps kept in practice; each one is a full snapshot
+const MAX_UNDO = 100;
+
+// Bumped whenever the serialized layout changes; fromSnapshot rejects other versions
+const SNAPSHOT_VERSION = 2;
+
+// Events emitted through GameEngine.on(); gameOver follows topOut and mode completions alike
+const ENGINE_EVENTS = [
+  'pieceSpawned', 'pieceLocked', 'linesCleared', 'levelUp', 'holdUsed',
+  'attackSent', 'garbageRisen', 'topOut', 'gameOver'
+];
+
 class GameEngine {
-  constructor() {
-    this.grid = this.createEmptyGrid();
+  constructor(options = {}) {
+    // A puzzle replaces the randomizer and mode with its authored pieces and goal
+    this.puzzle = options.puzzle ? parsePuzzle(options.puzzle) : null;
+
+    // Same seed + randomizer always yields the same piece sequence
+    this.seed = options.seed ?? generateSeed();
+    this.randomizerType = this.puzzle ? 'sequence' : options.randomizer || 'bag7';
+    this.randomizer = this.puzzle
+      ? new SequenceRandomizer(this.puzzle.pieces)
+      : createRandomizer(this.randomizerType, this.seed);
+    this.rules = resolveRules(options.rules ?? this.puzzle?.rules);
+    // The grid holds the hidden buffer rows above the visible playfield
+    this.width = this.rules.width;
+    this.rows = this.rules.height + this.rules.hiddenRows;
+    this.scoringType = options.scoring || 'guideline';
+    this.scoring = createScoring(this.scoringType);
+    this.modeType = this.puzzle ? 'puzzle' : options.mode || 'marathon';
+    this.mode = this.puzzle ? new PuzzleMode(this.puzzle) : createMode(this.modeType);
+
+    // Starting boards use their own stream so they never shift the piece sequence
+    this.grid = this.mode.setupBoard(this.createEmptyGrid(), new SeededRandom(this.seed));
+    
+    // Incoming garbage ({ pattern, delay, attackTable }) and the lines this player has sent
+    this.garbageOptions = options.garbage || {};
+    this.garbage = new GarbageQueue(new SeededRandom(this.seed + 1), { ...this.garbageOptions, width: this.width });
+    this.attackSent = 0;
     this.currentPiece = null;
     this.nextPieces = [];
+    this.holdPiece = null;
+    this.canHold = true; // Hold is allowed once per piece drop
     this.score = 0;
-    this.level = 1;
+    this.startLevel = options.level ?? 1;
+    if (!Number.isInteger(this.startLevel) || this.startLevel < 1) {
+      throw new Error(`Invalid starting level: ${this.startLevel}`);
+    }
+    this.level = this.startLevel;
     this.lines = 0;
     this.gameState = 'playing';
-    this.dropTimer = 0;
-    this.dropInterval = 1000; // 1 second initially
+    this.gravity = getGravity(this.rules.gravityCurve, this.level);
+    this.gravityProgress = 0; // Fraction of a row fallen since the last gravity step
+    this.softDropping = false; // Held soft drop multiplies gravity by rules.softDropFactor
+    this.softDropFactor = null; // The player's own multiplier when the soft drop input carries one
+    this.tickCount = 0;
+    this.tickAccumulator = 0; // Frame time not yet simulated, in ms * TICK_RATE
+    this.elapsedTime = 0;
+    this.pendingInputs = [];
+    this.spawnInputs = []; // Inputs marked `buffered` that arrived between pieces, applied on the next spawn (IRS/IHS)
+    this.inputLog = []; // { tick, action } for every input applied
+    this.outcome = null; // 'topOut', 'completed' or 'timeUp' once the game ends
+
+    // Timing model: 'falling' with an active piece, 'lineClear' and 'entry' between pieces
+    this.phase = 'falling';
+    this.phaseTimer = 0;
+    this.lockTimer = 0;
+    this.lockResets = 0;
+    this.lowestY = 0;
+    this.clearingLines = [];
+
+    // Spin tracking: set by a successful rotation, cleared by any other movement
+    this.lastRotation = null;
+    this.pendingSpin = null;
+    this.lastClear = null;
+    this.piecesPlaced = 0;
+
+    // Undo history (modes with `undo`): snapshots taken as each piece spawns
+    this.undoStack = [];
+    this.redoStack = [];
+    this.placementStart = null;
+    this.usedUndo = false; // Flags the game so it never reaches high scores or leaderboards
+
+    this.listeners = new Map();
+  }
+
+  // Subscribes to an engine event; returns a function that unsubscribes
+  on(event, listener) {
+    if (!ENGINE_EVENTS.includes(event)) {
+      throw new Error(`Unknown engine event: ${event}`);
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, payload) {
+    for (const listener of this.listeners.get(event) || []) {
+      // A failing listener must not leave the engine half way through a lock
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Engine ${event} listener failed:`, error);
+      }
+    }
   }
 
   createEmptyGrid() {
-    return Array(20).fill().map(() => Array(10).fill(0));
+    return Array(this.rows).fill().map(() => Array(this.width).fill(0));
   }
 
-  spawnNewPiece() {
-    if (this.nextPieces.length === 0) {
-      this.generateNextPieces();
+  spawnNewPiece(piece = this.takeNextPiece()) {
+    // A finite (puzzle) sequence that has run dry falls back to the held piece
+    if (!piece) {
+      return this.spawnFromHold();
     }
     
-    this.currentPiece = this.nextPieces.shift();
-    this.currentPiece.x = 4;
-    this.currentPiece.y = 0;
+    if (!this.spawnPiece(piece)) {
+      return false;
+    }
+    
+    this.generateNextPieces();
+    const buffered = this.spawnInputs.splice(0);
+    
+    // Undo returns to a piece's first spawn; swapping in from hold keeps the existing entry
+    if (this.mode.undo && this.canHold) {
+      this.placementStart = this.createHistoryEntry();
+    }
+    
+    // Initial rotation / hold and moves pressed during the delay act on the new piece straight away
+    buffered.forEach(action => this.applyInput(action));
+    return true;
+  }
+
+  spawnPiece(piece) {
+    this.currentPiece = piece;
+    this.currentPiece.x = this.rules.spawnX;
+    this.currentPiece.y = this.rules.hiddenRows + this.rules.spawnY;
+    this.phase = 'falling';
+    this.gravityProgress = 0;
+    this.lockTimer = 0;
+    this.lockResets = 0;
+    this.lowestY = this.currentPiece.y;
+    this.lastRotation = null;
     
     if (this.checkCollision(this.currentPiece, this.currentPiece.x, this.currentPiece.y)) {
-      this.gameState = 'gameOver';
+      if (this.mode.topOut) {
+        this.endGame('topOut');
+        return false;
+      }
+      // Modes without top-out wipe the stack and carry on
+      this.grid = this.createEmptyGrid();
+    }
+    
+    this.emit('pieceSpawned', { type: piece.type, x: piece.x, y: piece.y });
+    return true;
+  }
+
+  spawnFromHold() {
+    if (!this.holdPiece) {
+      this.endGame('failed');
       return false;
     }
     
-    this.generateNextPieces();
+    const piece = new Tetromino(this.holdPiece.type);
+    this.holdPiece = null;
+    return this.spawnPiece(piece);
+  }
+
+  holdCurrentPiece() {
+    if (!this.currentPiece || this.gameState !== 'playing' || !this.canHold) return false;
+    if (this.puzzle && !this.puzzle.hold) return false;
+    // Nothing to swap in once a puzzle's queue is empty
+    const nextPiece = this.holdPiece ? null : this.takeNextPiece();
+    if (!this.holdPiece && !nextPiece) return false;
+    
+    const heldType = this.holdPiece ? this.holdPiece.type : null;
+    this.holdPiece = new Tetromino(this.currentPiece.type);
+    this.canHold = false;
+    
+    this.emit('holdUsed', { held: this.holdPiece.type, released: heldType });
+    
+    // Empty hold slot pulls the next piece from the queue instead
+    if (heldType) {
+      this.spawnPiece(new Tetromino(heldType));
+    } else {
+      this.spawnNewPiece(nextPiece);
+    }
+    
     return true;
   }
 
+  // The piece to spawn is drawn on its own, so a previewCount of 0 still has one
+  takeNextPiece() {
+    this.generateNextPieces();
+    if (this.nextPieces.length > 0) return this.nextPieces.shift();
+    
+    const type = this.randomizer.next();
+    return type ? new Tetromino(type) : null;
+  }
+
   generateNextPieces() {
-    const pieces = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
-    while (this.nextPieces.length < 3) {
-      const type = pieces[Math.floor(Math.random() * pieces.length)];
+    while (this.nextPieces.length < this.rules.previewCount) {
+      const type = this.randomizer.next();
+      if (!type) break;
       this.nextPieces.push(new Tetromino(type));
     }
   }
@@ -53,7 +248,7 @@ class GameEngine {
         const newY = y + row;
         
         // Boundary checks
-        if (newX < 0 || newX >= 10 || newY >= 20) return true;
+        if (newX < 0 || newX >= this.width || newY >= this.rows) return true;
         if (newY < 0) continue;
         
         // Grid collision
@@ -78,33 +273,103 @@ class GameEngine {
     if (!this.checkCollision(this.currentPiece, newX, newY)) {
       this.currentPiece.x = newX;
       this.currentPiece.y = newY;
+      this.lastRotation = null;
+      this.onPieceMoved();
       return true;
     }
     
-    // If moving down failed, lock piece
-    if (direction === 'down') {
+    // Without lock delay the piece locks as soon as it cannot fall
+    if (direction === 'down' && this.rules.lockDelay === 0) {
       this.lockPiece();
     }
     
     return false;
   }
 
-  rotatePiece() {
+  // Moves as far as the piece will go (0 ARR); returns whether it moved at all
+  shiftToWall(direction) {
+    let moved = false;
+    while (this.movePiece(direction)) moved = true;
+    return moved;
+  }
+
+  hardDrop() {
+    if (!this.currentPiece || this.gameState !== 'playing') return 0;
+    
+    let dropDistance = 0;
+    while (!this.checkCollision(this.currentPiece, this.currentPiece.x, this.currentPiece.y + 1)) {
+      this.currentPiece.y++;
+      dropDistance++;
+    }
+    
+    // Dropping through rows cancels a pending spin
+    if (dropDistance > 0) {
+      this.lastRotation = null;
+    }
+    
+    // Bonus points for hard drop
+    this.score += dropDistance * 2;
+    this.lockPiece();
+    
+    return dropDistance;
+  }
+
+  isGrounded() {
+    return !!this.currentPiece &&
+      this.checkCollision(this.currentPiece, this.currentPiece.x, this.currentPiece.y + 1);
+  }
+
+  onPieceMoved() {
+    // Reaching a new lowest row always refreshes lock delay and the reset budget
+    if (this.currentPiece.y > this.lowestY) {
+      this.lowestY = this.currentPiece.y;
+      this.lockTimer = 0;
+      this.lockResets = 0;
+      return;
+    }
+    
+    // Other resets only count once the lock timer has started
+    if (this.lockTimer === 0) return;
+    
+    switch (this.rules.lockReset) {
+      case 'infinite':
+        this.lockTimer = 0;
+        break;
+      case 'move':
+        if (this.lockResets < this.rules.maxLockResets) {
+          this.lockTimer = 0;
+          this.lockResets++;
+        }
+        break;
+      case 'step':
+        // Only a new lowest row resets the timer
+        break;
+    }
+  }
+
+  rotatePiece(direction = 'cw') {
     if (!this.currentPiece || this.gameState !== 'playing') return false;
+
+    const turns = ROTATION_TURNS[direction];
+    if (turns === undefined) {
+      throw new Error(`Unknown rotation direction: ${direction}`);
+    }
     
     const originalRotation = this.currentPiece.rotation;
-    this.currentPiece.rotate();
+    this.currentPiece.rotate(turns);
     
     // Try wall kicks
-    const kicks = this.getWallKicks(this.currentPiece.type, originalRotation);
+    const kicks = this.getWallKicks(this.currentPiece.type, originalRotation, this.currentPiece.rotation);
     
-    for (const kick of kicks) {
-      const testX = this.currentPiece.x + kick.x;
-      const testY = this.currentPiece.y + kick.y;
+    for (let kickIndex = 0; kickIndex < kicks.length; kickIndex++) {
+      const testX = this.currentPiece.x + kicks[kickIndex].x;
+      const testY = this.currentPiece.y + kicks[kickIndex].y;
       
       if (!this.checkCollision(this.currentPiece, testX, testY)) {
         this.currentPiece.x = testX;
         this.currentPiece.y = testY;
+        this.lastRotation = { direction, kickIndex };
+        this.onPieceMoved();
         return true;
       }
     }
@@ -114,29 +379,25 @@ class GameEngine {
     return false;
   }
 
-  getWallKicks(pieceType, fromRotation) {
-    // Standard SRS wall kick data
-    const kicks = {
-      'JLSTZ': [
-        [{ x: 0, y: 0 }, { x: -1, y: 0 }, { x: -1, y: 1 }, { x: 0, y: -2 }, { x: -1, y: -2 }],
-        [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: -1 }, { x: 0, y: 2 }, { x: 1, y: 2 }],
-        [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: -2 }, { x: 1, y: -2 }],
-        [{ x: 0, y: 0 }, { x: -1, y: 0 }, { x: -1, y: -1 }, { x: 0, y: 2 }, { x: -1, y: 2 }]
-      ],
-      'I': [
-        [{ x: 0, y: 0 }, { x: -2, y: 0 }, { x: 1, y: 0 }, { x: -2, y: -1 }, { x: 1, y: 2 }],
-        [{ x: 0, y: 0 }, { x: -1, y: 0 }, { x: 2, y: 0 }, { x: -1, y: 2 }, { x: 2, y: -1 }],
-        [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: -1, y: 0 }, { x: 2, y: 1 }, { x: -1, y: -2 }],
-        [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: -2, y: 0 }, { x: 1, y: -2 }, { x: -2, y: 1 }]
-      ]
-    };
-    
-    const kickType = pieceType === 'I' ? 'I' : 'JLSTZ';
-    return kicks[kickType][fromRotation] || [{ x: 0, y: 0 }];
+  getWallKicks(pieceType, fromRotation, toRotation) {
+    return getKicks(this.rules.rotationSystem, pieceType, fromRotation, toRotation);
   }
 
   lockPiece() {
-    const shape = this.currentPiece.getShape();
+    if (!this.currentPiece) return;
+    
+    if (this.placementStart) {
+      this.pushHistory(this.undoStack, this.placementStart);
+      this.redoStack = [];
+      this.placementStart = null;
+    }
+    
+    // Spin detection needs the piece position before it joins the stack
+    this.pendingSpin = this.detectTSpin();
+    this.piecesPlaced++;
+    
+    const piece = this.currentPiece;
+    const shape = piece.getShape();
     
     // Place piece on grid
     for (let row = 0; row < shape.length; row++) {
@@ -151,20 +412,171 @@ class GameEngine {
       }
     }
     
+    this.currentPiece = null;
+    
+    // Full rows stay visible for the line clear delay before collapsing
+    this.clearingLines = this.findFullLines();
+    this.emit('pieceLocked', {
+      type: piece.type,
+      x: piece.x,
+      y: piece.y,
+      rotation: piece.rotation,
+      spin: this.pendingSpin,
+      lines: this.clearingLines.length,
+      rows: [...this.clearingLines]
+    });
+    if (this.clearingLines.length > 0 && this.rules.lineClearDelay > 0) {
+      this.phase = 'lineClear';
+      this.phaseTimer = msToTicks(this.rules.lineClearDelay);
+      return;
+    }
+    
+    this.completeLineClear();
+  }
+
+  completeLineClear() {
     // Clear lines and update score
+    const rows = this.clearingLines;
+    const previousLevel = this.level;
     const linesCleared = this.clearLines();
-    this.updateScore(linesCleared);
+    this.clearingLines = [];
+    this.updateScore(linesCleared, this.pendingSpin);
+    this.pendingSpin = null;
+    
+    if (linesCleared > 0) {
+      this.emit('linesCleared', { rows, ...this.lastClear });
+      this.sendAttack();
+    } else {
+      // Garbage only rises on locks that clear nothing
+      this.riseGarbage();
+      if (this.gameState !== 'playing') return;
+    }
+    if (this.level > previousLevel) {
+      this.emit('levelUp', { level: this.level, previousLevel });
+    }
+    
+    if (this.checkModeCompletion()) return;
+    this.beginEntry();
+  }
+
+  beginEntry() {
+    // Re-enable hold, then spawn after the entry delay (ARE)
+    this.canHold = true;
+    
+    if (this.rules.entryDelay > 0) {
+      this.phase = 'entry';
+      this.phaseTimer = msToTicks(this.rules.entryDelay);
+      return;
+    }
     
-    // Spawn next piece
     this.spawnNewPiece();
   }
 
+  // Steps back to the spawn of the previously placed piece
+  undo() {
+    return this.stepHistory(this.undoStack, this.redoStack);
+  }
+
+  redo() {
+    return this.stepHistory(this.redoStack, this.undoStack);
+  }
+
+  stepHistory(from, to) {
+    if (!this.mode.undo || from.length === 0) return false;
+    if (!['playing', 'paused', 'gameOver'].includes(this.gameState)) return false;
+    
+    const paused = this.gameState === 'paused';
+    this.pushHistory(to, this.placementStart ?? this.createHistoryEntry());
+    
+    const snapshot = from.pop();
+    this.restore(snapshot);
+    this.placementStart = snapshot;
+    this.usedUndo = true;
+    if (paused) this.gameState = 'paused';
+    
+    return true;
+  }
+
+  // Undo entries leave out the input log, which only grows; restoring one cuts the log back to its length then.
+  // Redone inputs aren't logged again, but a game that used undo can't be validated anyway
+  createHistoryEntry() {
+    return { ...this.serialize({ inputLog: false }), inputLogLength: this.inputLog.length };
+  }
+
+  pushHistory(stack, snapshot) {
+    stack.push(snapshot);
+    if (stack.length > MAX_UNDO) stack.shift();
+  }
+
+  // Queues incoming garbage, e.g. from a versus opponent's attack
+  receiveGarbage(lines) {
+    this.garbage.receive(lines);
+  }
+
+  sendAttack() {
+    const { attack, sent } = this.garbage.sendAttack(this.lastClear);
+    if (sent > 0) {
+      this.attackSent += sent;
+      this.emit('attackSent', { lines: sent, cancelled: attack - sent });
+    }
+  }
+
+  riseGarbage() {
+    const rows = this.garbage.takeReadyRows();
+    if (rows.length === 0) return;
+    
+    // Anything pushed off the top of the grid tops the player out
+    const overflow = this.grid.slice(0, rows.length).some(row => row.some(cell => cell !== 0));
+    this.grid = [...this.grid.slice(rows.length), ...rows];
+    this.emit('garbageRisen', { lines: rows.length });
+    
+    if (overflow && this.mode.topOut) {
+      this.endGame('topOut');
+    }
+  }
+
+  detectTSpin() {
+    const piece = this.currentPiece;
+    if (piece.type !== 'T' || !this.lastRotation) return null;
+    
+    // 3-corner rule on the T's 3x3 box, clockwise from top-left
+    const corners = [[0, 0], [2, 0], [2, 2], [0, 2]].map(([cx, cy]) =>
+      this.isCellBlocked(piece.x + cx, piece.y + cy)
+    );
+    if (corners.filter(Boolean).length < 3) return null;
+    
+    // Both corners beside the pointing side filled means a full T-spin
+    const frontCorners = [corners[piece.rotation], corners[(piece.rotation + 1) % 4]];
+    if (frontCorners.every(Boolean)) return 'tspin';
+    
+    // The fifth SRS kick of a quarter turn (e.g. a TST twist) upgrades a mini to a full T-spin;
+    // SRS+ 180° tables have six tests, so their index 4 is nothing special
+    const { direction, kickIndex } = this.lastRotation;
+    return direction !== '180' && kickIndex === 4 ? 'tspin' : 'mini';
+  }
+
+  isCellBlocked(x, y) {
+    if (x < 0 || x >= this.width || y >= this.rows) return true;
+    if (y < 0) return false;
+    return this.grid[y][x] !== 0;
+  }
+
+  findFullLines() {
+    const fullLines = [];
+    for (let y = 0; y < this.grid.length; y++) {
+      if (this.isLineFull(y)) {
+        fullLines.push(y);
+      }
+    }
+    return fullLines;
+  }
+
   clearLines() {
     let linesCleared = 0;
-    let writeIndex = 19;
+    let writeIndex = this.rows - 1;
     
     // Scan from bottom to top
-    for (let readIndex = 19; readIndex >= 0; readIndex--) {
+    for (let readIndex = this.rows - 1; readIndex >= 0; readIndex--) {
       if (!this.isLineFull(readIndex)) {
         if (writeIndex !== readIndex) {
           this.grid[writeIndex] = [...this.grid[readIndex]];
@@ -177,41 +589,313 @@ class GameEngine {
     
     // Fill top with empty lines
     for (let i = 0; i <= writeIndex; i++) {
-      this.grid[i] = new Array(10).fill(0);
+      this.grid[i] = new Array(this.width).fill(0);
     }
     
     return linesCleared;
   }
 
+  isGridEmpty() {
+    return this.grid.every(row => row.every(cell => cell === 0));
+  }
+
   isLineFull(row) {
     return this.grid[row].every(cell => cell !== 0);
   }
 
-  updateScore(linesCleared) {
+  updateScore(linesCleared, spin = null) {
+    const result = this.scoring.scoreLock({
+      lines: linesCleared,
+      spin,
+      level: this.level,
+      perfectClear: this.isGridEmpty()
+    });
+    this.score += result.points;
+    
+    if (linesCleared > 0 || result.spin) {
+      this.recordClear(result);
+    }
+    
     if (linesCleared > 0) {
-      const points = [0, 40, 100, 300, 1200][linesCleared] * this.level;
-      this.score += points;
       this.lines += linesCleared;
       
-      // Level up every 10 lines
-      const newLevel = Math.floor(this.lines / 10) + 1;
+      // Level up every 10 lines, or per the rules' NES-style transition
+      const newLevel = getLevel(this.lines, this.startLevel, this.rules.levelProgression);
       if (newLevel > this.level) {
         this.level = newLevel;
-        this.dropInterval = Math.max(50, 1000 - (this.level - 1) * 50);
+        this.gravity = getGravity(this.rules.gravityCurve, this.level);
       }
     }
   }
 
-  update(deltaTime) {
+  recordClear(result) {
+    // `id` lets snapshot consumers tell a new clear apart from the previous one
+    this.lastClear = {
+      id: this.piecesPlaced,
+      ...result,
+      name: this.getClearName(result.lines, result.spin)
+    };
+  }
+
+  getClearName(lines, spin) {
+    if (!spin) return CLEAR_NAMES[lines];
+    
+    const prefix = spin === 'mini' ? 'T-Spin Mini' : 'T-Spin';
+    return lines > 0 ? `${prefix} ${CLEAR_NAMES[lines]}` : prefix;
+  }
+
+  checkModeCompletion() {
+    const outcome = this.mode.checkCompletion(this);
+    if (outcome) {
+      this.endGame(outcome);
+    }
+    return outcome !== null;
+  }
+
+  endGame(outcome) {
+    this.gameState = 'gameOver';
+    this.outcome = outcome;
+    
+    const summary = { outcome, score: this.score, level: this.level, lines: this.lines };
+    if (outcome === 'topOut') {
+      this.emit('topOut', summary);
+    }
+    this.emit('gameOver', summary);
+  }
+
+  // Turns frame time into whole ticks; the remainder carries over to the next frame.
+  // onTick runs before each tick, so per-tick input (auto-repeat) lands on the right tick index
+  update(deltaTime, onTick) {
     if (this.gameState !== 'playing') return;
     
-    this.dropTimer += deltaTime;
-    if (this.dropTimer >= this.dropInterval) {
-      this.movePiece('down');
-      this.dropTimer = 0;
+    this.tickAccumulator += deltaTime * TICK_RATE;
+    while (this.tickAccumulator >= 1000 && this.gameState === 'playing') {
+      this.tickAccumulator -= 1000;
+      if (onTick) onTick();
+      this.tick();
+    }
+  }
+
+  // Inputs wait for the next tick so they land on a recorded tick index
+  queueInput(action) {
+    if (!INPUT_TYPES.includes(action.type)) {
+      throw new Error(`Unknown input: ${action.type}`);
+    }
+    this.pendingInputs.push(action);
+  }
+
+  applyInput(action) {
+    if (action.buffered && !this.currentPiece) {
+      this.spawnInputs.push(action);
+      return true;
+    }
+    
+    switch (action.type) {
+      case 'move': return action.toWall ? this.shiftToWall(action.direction) : this.movePiece(action.direction);
+      case 'rotate': return this.rotatePiece(action.direction);
+      case 'drop': return this.hardDrop();
+      case 'hold': return this.holdCurrentPiece();
+      case 'softDrop': return this.setSoftDrop(action.active, action.factor);
     }
   }
 
+  // Applies the queued inputs, logged against the tick about to run, and returns their results. tick() starts
+  // with this; callers that need a result straight away (the agent API) can run it between ticks, since inputs
+  // always apply before that tick's gravity either way
+  processInputs() {
+    if (this.gameState !== 'playing') return [];
+    
+    return this.pendingInputs.splice(0).map(action => {
+      this.inputLog.push({ tick: this.tickCount, action });
+      return this.applyInput(action);
+    });
+  }
+  
+  tick() {
+    if (this.gameState !== 'playing') return;
+    
+    this.processInputs();
+    
+    this.tickCount++;
+    this.elapsedTime = this.tickCount * 1000 / TICK_RATE;
+    this.garbage.update(TICK_MS);
+    if (this.gameState !== 'playing' || this.checkModeCompletion()) return;
+    
+    if (this.phase === 'lineClear' || this.phase === 'entry') {
+      this.phaseTimer--;
+      if (this.phaseTimer > 0) return;
+      
+      if (this.phase === 'lineClear') {
+        this.completeLineClear();
+      } else {
+        this.spawnNewPiece();
+      }
+      return;
+    }
+    
+    this.applyGravity();
+    this.updateLockDelay();
+  }
+
+  setSoftDrop(active, factor = null) {
+    this.softDropping = !!active;
+    if (active) this.softDropFactor = factor;
+    return true;
+  }
+
+  applyGravity() {
+    this.gravityProgress += this.softDropping
+      ? Math.min(MAX_GRAVITY, this.gravity * (this.softDropFactor ?? this.rules.softDropFactor))
+      : this.gravity;
+    
+    // High gravity (e.g. 20G) moves several rows in a single tick
+    while (this.gravityProgress >= 1 - GRAVITY_EPSILON) {
+      this.gravityProgress -= 1;
+      if (!this.movePiece('down')) {
+        this.gravityProgress = 0;
+        break;
+      }
+    }
+  }
+
+  updateLockDelay() {
+    if (this.rules.lockDelay === 0 || !this.isGrounded()) return;
+    
+    this.lockTimer++;
+    
+    // Once the move-reset budget is spent the piece locks on contact
+    const resetsExhausted = this.rules.lockReset === 'move' &&
+      this.lockResets >= this.rules.maxLockResets;
+    
+    if (this.lockTimer >= msToTicks(this.rules.lockDelay) || resetsExhausted) {
+      this.lockPiece();
+    }
+  }
+
+  // Re-runs a game from its options and input log, e.g. to validate a submitted score
+  static simulate(options, inputLog, ticks) {
+    const engine = new GameEngine(options);
+    engine.spawnNewPiece();
+    
+    let next = 0;
+    for (let tick = 0; tick < ticks && engine.gameState === 'playing'; tick++) {
+      while (next < inputLog.length && inputLog[next].tick <= tick) {
+        engine.queueInput(inputLog[next++].action);
+      }
+      engine.tick();
+    }
+    
+    return engine;
+  }
+
+  // Plain JSON snapshot of everything needed to resume the game exactly where it stopped. The input log grows
+  // with the game and is only needed to re-run it, so callers that save often can leave it out
+  serialize({ inputLog = true } = {}) {
+    const pieceData = piece => piece ? { type: piece.type, x: piece.x, y: piece.y, rotation: piece.rotation } : null;
+
+    return {
+      version: SNAPSHOT_VERSION,
+      options: {
+        seed: this.seed,
+        randomizer: this.randomizerType,
+        rules: { ...this.rules },
+        scoring: this.scoringType,
+        mode: this.modeType,
+        garbage: { ...this.garbageOptions },
+        puzzle: this.puzzle,
+        level: this.startLevel
+      },
+      grid: this.getGrid(),
+      currentPiece: pieceData(this.currentPiece),
+      nextPieces: this.nextPieces.map(piece => piece.type),
+      holdPiece: this.holdPiece ? this.holdPiece.type : null,
+      canHold: this.canHold,
+      score: this.score,
+      level: this.level,
+      lines: this.lines,
+      gameState: this.gameState,
+      outcome: this.outcome,
+      gravity: this.gravity,
+      gravityProgress: this.gravityProgress,
+      softDropping: this.softDropping,
+      softDropFactor: this.softDropFactor,
+      spawnInputs: this.spawnInputs.map(action => ({ ...action })),
+      tickCount: this.tickCount,
+      tickAccumulator: this.tickAccumulator,
+      elapsedTime: this.elapsedTime,
+      pendingInputs: [...this.pendingInputs],
+      inputLog: inputLog ? this.inputLog.map(entry => ({ ...entry })) : null,
+      phase: this.phase,
+      phaseTimer: this.phaseTimer,
+      lockTimer: this.lockTimer,
+      lockResets: this.lockResets,
+      lowestY: this.lowestY,
+      clearingLines: [...this.clearingLines],
+      lastRotation: this.lastRotation ? { ...this.lastRotation } : null,
+      pendingSpin: this.pendingSpin,
+      lastClear: this.lastClear ? { ...this.lastClear } : null,
+      piecesPlaced: this.piecesPlaced,
+      attackSent: this.attackSent,
+      usedUndo: this.usedUndo,
+      randomizerState: this.randomizer.serialize(),
+      scoringState: this.scoring.serialize(),
+      garbageState: this.garbage.serialize()
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+    }
+
+    const engine = new GameEngine(snapshot.options);
+    engine.restore(snapshot);
+    return engine;
+  }
+
+  // Loads a snapshot of this same game in place; listeners and undo history are kept
+  restore(snapshot) {
+    const createPiece = data => {
+      if (!data) return null;
+      const piece = new Tetromino(data.type);
+      piece.x = data.x ?? 0;
+      piece.y = data.y ?? 0;
+      piece.rotation = data.rotation ?? 0;
+      return piece;
+    };
+    
+    this.grid = snapshot.grid.map(row => [...row]);
+    this.currentPiece = createPiece(snapshot.currentPiece);
+    this.nextPieces = snapshot.nextPieces.map(type => createPiece({ type }));
+    this.holdPiece = createPiece(snapshot.holdPiece && { type: snapshot.holdPiece });
+    this.clearingLines = [...snapshot.clearingLines];
+    this.pendingInputs = [...snapshot.pendingInputs];
+    if (snapshot.inputLog) {
+      this.inputLog = snapshot.inputLog.map(entry => ({ ...entry }));
+    } else {
+      this.inputLog.length = Math.min(this.inputLog.length, snapshot.inputLogLength ?? 0);
+    }
+    this.lastRotation = snapshot.lastRotation ? { ...snapshot.lastRotation } : null;
+    this.lastClear = snapshot.lastClear ? { ...snapshot.lastClear } : null;
+    
+    const scalars = [
+      'canHold', 'score', 'level', 'lines', 'gameState', 'outcome', 'gravity', 'gravityProgress',
+      'tickCount', 'tickAccumulator', 'elapsedTime', 'phase', 'phaseTimer', 'lockTimer',
+      'lockResets', 'lowestY', 'pendingSpin', 'piecesPlaced', 'attackSent'
+    ];
+    scalars.forEach(key => {
+      this[key] = snapshot[key];
+    });
+    this.usedUndo = snapshot.usedUndo;
+    this.softDropping = snapshot.softDropping;
+    this.softDropFactor = snapshot.softDropFactor;
+    this.spawnInputs = snapshot.spawnInputs.map(action => ({ ...action }));
+    
+    this.randomizer.restore(snapshot.randomizerState);
+    this.scoring.restore(snapshot.scoringState);
+    this.garbage.restore(snapshot.garbageState);
+  }
+
   getGrid() {
     return this.grid.map(row => [...row]);
   }
@@ -227,10 +911,43 @@ class GameEngine {
         shape: this.currentPiece.getShape()
       } : null,
       nextPieces: this.nextPieces.map(p => ({ type: p.type, shape: p.getShape() })),
+      holdPiece: this.holdPiece ? { type: this.holdPiece.type, shape: this.holdPiece.getShape() } : null,
+      canHold: this.canHold,
       score: this.score,
       level: this.level,
       lines: this.lines,
-      gameState: this.gameState
+      gameState: this.gameState,
+      phase: this.phase,
+      clearingLines: [...this.clearingLines],
+      rules: this.rules.preset,
+      board: {
+        width: this.width,
+        height: this.rules.height,
+        hiddenRows: this.rules.hiddenRows
+      },
+      lastClear: this.lastClear ? { ...this.lastClear } : null,
+      scoring: this.scoringType,
+      ...this.scoring.getState(),
+      piecesPlaced: this.piecesPlaced,
+      seed: this.seed,
+      randomizer: this.randomizerType,
+      mode: this.modeType,
+      puzzle: this.puzzle ? {
+        id: this.puzzle.id,
+        name: this.puzzle.name,
+        goal: describeGoal(this.puzzle.goal)
+      } : null,
+      tick: this.tickCount,
+      startLevel: this.startLevel,
+      gravity: this.gravity,
+      elapsedTime: this.elapsedTime,
+      outcome: this.outcome,
+      pendingGarbage: this.garbage.getPending(),
+      attackSent: this.attackSent,
+      canUndo: this.mode.undo && this.undoStack.length > 0,
+      canRedo: this.mode.undo && this.redoStack.length > 0,
+      usedUndo: this.usedUndo,
+      ...this.mode.getProgress(this)
     };
   }
 }
@@ -296,9 +1013,10 @@ class Tetromino {
     return this.shapes[this.rotation];
   }
 
-  rotate() {
-    this.rotation = (this.rotation + 1) % 4;
+  // turns: 1 = clockwise, -1 = counter-clockwise, 2 = 180°
+  rotate(turns = 1) {
+    this.rotation = (this.rotation + turns + 4) % 4;
   }
 }
 
-export { GameEngine, Tetromino };
\ No newline at end of file
+export { GameEngine, Tetromino, ENGINE_EVENTS, TICK_RATE, SNAPSHOT_VERSION };
\ No newline at end of file
@@ -0,0 +1,157 @@
+// Gamepad input: polls the Gamepad API and turns button and stick changes into presses for the InputHandler
+import { KeyBindings } from './keybindings.js';
+
+// Button names for the W3C "standard" layout; other layouts fall back to Button<n>
+const STANDARD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right', 'Home'
+];
+
+// Control names use the same registry as the keyboard, so the rebinding dialog works for pads too
+const DEFAULT_GAMEPAD_BINDINGS = {
+  moveLeft: ['Left', 'StickLeft'],
+  moveRight: ['Right', 'StickRight'],
+  softDrop: ['Down', 'StickDown'],
+  hardDrop: ['Up'],
+  rotateCW: ['B'],
+  rotateCCW: ['A'],
+  rotate180: ['X'],
+  hold: ['LB', 'RB'],
+  pause: ['Start'],
+  restart: [],
+  undo: ['LT'],
+  redo: ['RT']
+};
+
+// How far the left stick must travel (0-1) before it counts as a direction
+const DEFAULT_DEADZONE = 0.5;
+
+function getButtonName(gamepad, index) {
+  return gamepad.mapping === 'standard' && STANDARD_BUTTONS[index] ? STANDARD_BUTTONS[index] : `Button${index}`;
+}
+
+// Names of every control currently held on a pad, buttons and stick directions alike
+function readControls(gamepad, deadzone = DEFAULT_DEADZONE) {
+  const controls = new Set();
+
+  gamepad.buttons.forEach((button, index) => {
+    if (button.pressed) controls.add(getButtonName(gamepad, index));
+  });
+
+  const [x = 0, y = 0] = gamepad.axes;
+  if (x <= -deadzone) controls.add('StickLeft');
+  if (x >= deadzone) controls.add('StickRight');
+  if (y <= -deadzone) controls.add('StickUp');
+  if (y >= deadzone) controls.add('StickDown');
+
+  return controls;
+}
+
+class GamepadInput {
+  // `bindings` holds saved layouts by controller id (the Gamepad API's model string)
+  constructor(inputHandler, { deadzone = DEFAULT_DEADZONE, bindings = {} } = {}) {
+    this.inputHandler = inputHandler;
+    this.setDeadzone(deadzone);
+    this.savedBindings = bindings;
+    this.pads = new Map(); // Gamepad index -> { id, held, bindings }
+    this.capture = null; // { index, callback } while the rebinding dialog waits for a button
+  }
+
+  setDeadzone(deadzone) {
+    if (typeof deadzone !== 'number' || !(deadzone >= 0 && deadzone < 1)) {
+      throw new Error(`Invalid gamepad deadzone: ${deadzone}`);
+    }
+    this.deadzone = deadzone;
+  }
+
+  // Hot-plug: pads are added on their connect event or the first poll that sees them
+  connect(gamepad) {
+    if (this.pads.has(gamepad.index)) return false;
+
+    let bindings;
+    try {
+      bindings = new KeyBindings(this.savedBindings[gamepad.id] || {}, DEFAULT_GAMEPAD_BINDINGS);
+    } catch (error) {
+      console.warn(`Ignoring saved bindings for ${gamepad.id}:`, error);
+      bindings = new KeyBindings({}, DEFAULT_GAMEPAD_BINDINGS);
+    }
+
+    this.pads.set(gamepad.index, { id: gamepad.id, held: new Set(), bindings });
+    return true;
+  }
+
+  // Returns the releases for whatever the pad was holding, so nothing stays stuck down
+  disconnect(gamepad) {
+    const pad = this.pads.get(gamepad.index);
+    if (!pad) return [];
+
+    const events = [...pad.held].map(control => this.releaseControl(gamepad.index, pad, control));
+    this.pads.delete(gamepad.index);
+    return events.filter(event => event.action);
+  }
+
+  getBindings(index) {
+    return this.pads.get(index)?.bindings || null;
+  }
+
+  // Layouts for every controller seen so far, for saving
+  getSavedBindings() {
+    const saved = { ...this.savedBindings };
+    this.pads.forEach(pad => {
+      saved[pad.id] = pad.bindings.toJSON();
+    });
+    return saved;
+  }
+
+  // The next control pressed on the pad goes to `callback` instead of the game
+  captureNext(index, callback) {
+    this.capture = { index, callback };
+  }
+
+  // Reads every pad and returns { action, device, release } for each change since the last poll
+  poll(gamepads = navigator.getGamepads()) {
+    const events = [];
+    const seen = new Set();
+
+    for (const gamepad of gamepads) {
+      if (!gamepad || !gamepad.connected) continue;
+
+      seen.add(gamepad.index);
+      this.connect(gamepad);
+      const pad = this.pads.get(gamepad.index);
+      const controls = readControls(gamepad, this.deadzone);
+
+      for (const control of controls) {
+        if (pad.held.has(control)) continue;
+        pad.held.add(control);
+
+        if (this.capture?.index === gamepad.index) {
+          this.capture.callback(control);
+          this.capture = null;
+          continue;
+        }
+
+        const action = this.inputHandler.press(`pad${gamepad.index}:${control}`, pad.bindings.getAction(control));
+        if (action) events.push({ action, device: pad.id, release: false });
+      }
+
+      for (const control of [...pad.held]) {
+        if (controls.has(control)) continue;
+        events.push(this.releaseControl(gamepad.index, pad, control));
+      }
+    }
+
+    // Pads that vanished without a disconnect event
+    this.pads.forEach((pad, index) => {
+      if (!seen.has(index)) events.push(...this.disconnect({ index }));
+    });
+
+    return events.filter(event => event.action);
+  }
+
+  releaseControl(index, pad, control) {
+    pad.held.delete(control);
+    return { action: this.inputHandler.release(`pad${index}:${control}`), device: pad.id, release: true };
+  }
+}
+
+export { STANDARD_BUTTONS, DEFAULT_GAMEPAD_BINDINGS, DEFAULT_DEADZONE, readControls, GamepadInput };
@@ -0,0 +1,122 @@
+// Garbage lines: attack tables, incoming garbage queue, cancelling and hole patterns
+const GARBAGE_CELL = 'G';
+
+// Lines sent per clear; combo bonus is indexed by combo count (capped at the last entry)
+const ATTACK_TABLES = {
+  guideline: {
+    lines: [0, 0, 1, 2, 4],
+    tspin: [0, 2, 4, 6],
+    mini: [0, 0, 1],
+    backToBackBonus: 1,
+    combo: [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5],
+    perfectClear: 10
+  }
+};
+
+// random: one hole column per attack, clean: a single well for the whole game, messy: a new hole every row
+const HOLE_PATTERNS = ['random', 'clean', 'messy'];
+
+function calculateAttack(clear, table = ATTACK_TABLES.guideline) {
+  if (!clear || clear.lines === 0) return 0;
+
+  const values = clear.spin ? table[clear.spin] : table.lines;
+  let attack = values[clear.lines] || 0;
+
+  if (clear.backToBack) attack += table.backToBackBonus;
+  attack += table.combo[Math.min(clear.combo, table.combo.length - 1)];
+
+  // A perfect clear replaces the regular attack when it is larger
+  if (clear.perfectClear) attack = Math.max(attack, table.perfectClear);
+
+  return attack;
+}
+
+function createGarbageRow(width, hole) {
+  return Array.from({ length: width }, (_, x) => (x === hole ? 0 : GARBAGE_CELL));
+}
+
+class GarbageQueue {
+  constructor(rng, { pattern = 'random', delay = 0, width = 10, attackTable = 'guideline' } = {}) {
+    if (!HOLE_PATTERNS.includes(pattern)) {
+      throw new Error(`Unknown garbage pattern: ${pattern}`);
+    }
+    if (!ATTACK_TABLES[attackTable]) {
+      throw new Error(`Unknown attack table: ${attackTable}`);
+    }
+
+    this.rng = rng;
+    this.attackTable = ATTACK_TABLES[attackTable];
+    this.pattern = pattern;
+    this.delay = delay; // Milliseconds before queued garbage may rise
+    this.width = width;
+    this.entries = [];
+    this.wellColumn = rng.nextInt(width);
+  }
+
+  receive(lines) {
+    if (lines <= 0) return;
+    this.entries.push({ lines, timer: this.delay });
+  }
+
+  // Works out the attack for a clear and cancels incoming garbage with it
+  sendAttack(clear) {
+    const attack = calculateAttack(clear, this.attackTable);
+    return { attack, sent: this.cancel(attack) };
+  }
+
+  // Outgoing attack cancels the oldest incoming garbage first; returns what is left to send
+  cancel(attack) {
+    while (attack > 0 && this.entries.length > 0) {
+      const entry = this.entries[0];
+      const cancelled = Math.min(attack, entry.lines);
+      entry.lines -= cancelled;
+      attack -= cancelled;
+      if (entry.lines === 0) this.entries.shift();
+    }
+    return attack;
+  }
+
+  update(deltaTime) {
+    this.entries.forEach(entry => {
+      entry.timer = Math.max(0, entry.timer - deltaTime);
+    });
+  }
+
+  // Removes garbage whose delay has elapsed and builds its rows, bottom row last
+  takeReadyRows() {
+    const rows = [];
+    while (this.entries.length > 0 && this.entries[0].timer === 0) {
+      const { lines } = this.entries.shift();
+      const attackHole = this.nextHole();
+      for (let i = 0; i < lines; i++) {
+        const hole = this.pattern === 'messy' && i > 0 ? this.nextHole() : attackHole;
+        rows.push(createGarbageRow(this.width, hole));
+      }
+    }
+    return rows;
+  }
+
+  nextHole() {
+    return this.pattern === 'clean' ? this.wellColumn : this.rng.nextInt(this.width);
+  }
+
+  getPending() {
+    return this.entries.reduce((total, entry) => total + entry.lines, 0);
+  }
+
+  serialize() {
+    return {
+      rng: this.rng.serialize(),
+      entries: this.entries.map(entry => ({ ...entry })),
+      wellColumn: this.wellColumn
+    };
+  }
+
+  restore(state) {
+    this.rng.restore(state.rng);
+    this.entries = state.entries.map(entry => ({ ...entry }));
+    this.wellColumn = state.wellColumn;
+  }
+}
+
+export { GARBAGE_CELL, ATTACK_TABLES, HOLE_PATTERNS, calculateAttack, createGarbageRow, GarbageQueue };
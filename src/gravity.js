@@ -0,0 +1,60 @@
+// Gravity curves and level progression; gravity is in G (rows per 60Hz frame, one engine tick)
+const FRAME_MS = 1000 / 60;
+
+// Pieces never fall faster than straight to the floor
+const MAX_GRAVITY = 20;
+
+// Per-level speed tables in their native unit; levels past the end keep the last entry
+const GRAVITY_CURVES = {
+  // The original curve: one row per second at level 1, 50ms faster per level
+  linear: {
+    unit: 'ms',
+    levels: Array.from({ length: 20 }, (_, i) => Math.max(50, 1000 - i * 50))
+  },
+  // Guideline: (0.8 - (level - 1) * 0.007) ^ (level - 1) seconds per row, reaching 20G around level 19
+  guideline: {
+    unit: 'ms',
+    levels: Array.from({ length: 20 }, (_, i) => Math.pow(0.8 - i * 0.007, i) * 1000)
+  },
+  // NES frames per row for levels 0-29 (our level 1 is NES level 0)
+  nes: {
+    unit: 'frames',
+    levels: [48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1]
+  },
+  // TGM's 20G: pieces land the moment they spawn at every level
+  '20g': {
+    unit: 'G',
+    levels: [MAX_GRAVITY]
+  }
+};
+
+// fixed: a level every 10 lines from the starting level
+// nes: a high starting level delays the first level-up, as on the NES
+const LEVEL_PROGRESSIONS = ['fixed', 'nes'];
+
+function getGravity(curve, level) {
+  const table = GRAVITY_CURVES[curve];
+  if (!table) {
+    throw new Error(`Unknown gravity curve: ${curve}`);
+  }
+
+  const value = table.levels[Math.min(level, table.levels.length) - 1];
+  let gravity = value;
+  if (table.unit === 'ms') gravity = FRAME_MS / value;
+  if (table.unit === 'frames') gravity = 1 / value;
+
+  return Math.min(MAX_GRAVITY, gravity);
+}
+
+function getLevel(lines, startLevel = 1, progression = 'fixed') {
+  if (progression === 'nes') {
+    // NES: min(start * 10 + 10, max(100, start * 10 - 50)) lines, with start counted from level 0
+    const start = startLevel - 1;
+    const firstLevelUp = Math.min(start * 10 + 10, Math.max(100, start * 10 - 50));
+    return lines < firstLevelUp ? startLevel : startLevel + 1 + Math.floor((lines - firstLevelUp) / 10);
+  }
+
+  return startLevel + Math.floor(lines / 10);
+}
+
+export { MAX_GRAVITY, GRAVITY_CURVES, LEVEL_PROGRESSIONS, getGravity, getLevel };
@@ -1,11 +1,16 @@
 // Main entry point for KIRO Tetris AI
 import { TetrisOrchestrator } from '../agents/orchestrator.js';
 import { GameController } from './game-controller.js';
+import { parsePuzzle, describeGoal } from './puzzles.js';
+import { BINDABLE_ACTIONS, formatKey } from './keybindings.js';
 
 class TetrisApp {
   constructor() {
     this.orchestrator = null;
     this.gameController = null;
+    this.puzzles = [];
+    this.capturingAction = null; // Action waiting for its new key in the bindings dialog
+    this.bindingsTarget = null; // The keyboard or gamepad bindings the dialog is editing
     this.isInitialized = false;
   }
 
@@ -85,8 +90,9 @@ class TetrisApp {
     const gameCanvas = this.createGameCanvas();
     const uiCanvas = this.createUICanvas();
 
-    // Initialize game controller
-    this.gameController = new GameController(gameCanvas, uiCanvas);
+    // Initialize game controller, drawing through the UI agent's renderer (it may own the canvases in a worker)
+    const uiController = this.orchestrator?.agents.get('ui-controller');
+    this.gameController = new GameController(gameCanvas, uiCanvas, uiController?.renderer);
 
     // Connect to orchestrator
     await this.connectGameToOrchestrator();
@@ -135,6 +141,17 @@ class TetrisApp {
     // This would integrate the game controller with the Strands orchestrator
     // For now, we'll use a simplified connection
 
+    // Keyboard input routed through the orchestrator uses the same bindings as the controller
+    if (this.orchestrator) {
+      this.orchestrator.keyBindings = this.gameController.keyBindings;
+    }
+
+    // Frame times feed the UI controller's render_time metric
+    const uiController = this.orchestrator?.agents.get('ui-controller');
+    if (uiController) {
+      this.gameController.onRenderTime = (renderTime) => uiController.recordMetric('render_time', renderTime);
+    }
+
     this.gameController.onGameEvent = async (event) => {
       // Forward game events to orchestrator
       if (this.orchestrator) {
@@ -162,6 +179,25 @@ class TetrisApp {
       });
     }
 
+    // Only offered when an unfinished game was autosaved
+    const resumeBtn = document.getElementById('resumeBtn');
+    if (resumeBtn) {
+      resumeBtn.style.display = this.gameController.hasSavedGame() ? '' : 'none';
+      resumeBtn.addEventListener('click', () => {
+        this.resumeGame().catch(error => console.error('Failed to resume game:', error));
+        resumeBtn.style.display = 'none';
+      });
+    }
+
+    // Puzzle picker, filled from the puzzle manifest
+    const puzzleBtn = document.getElementById('puzzleBtn');
+    if (puzzleBtn) {
+      this.loadPuzzleList().catch(error => console.error('Failed to load puzzles:', error));
+      puzzleBtn.addEventListener('click', () => {
+        this.startPuzzle().catch(error => console.error('Failed to start puzzle:', error));
+      });
+    }
+
     const pauseBtn = document.getElementById('pauseBtn');
     if (pauseBtn) {
       pauseBtn.addEventListener('click', () => {
@@ -176,6 +212,21 @@ class TetrisApp {
       });
     }
 
+    // Practice mode history
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => {
+        this.gameController.undo();
+      });
+    }
+
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => {
+        this.gameController.redo();
+      });
+    }
+
     // Replay controls
     const replayBtn = document.getElementById('replayBtn');
     if (replayBtn) {
@@ -205,6 +256,301 @@ class TetrisApp {
         this.toggleAI();
       });
     }
+
+    this.setupHandlingInputs();
+    this.setupTouchInputs();
+    this.setupKeyBindingsDialog();
+    this.setupGamepadPanel();
+    this.setupThemePanel();
+  }
+
+  // Each field edits the touch setting named by its data-touch attribute
+  setupTouchInputs() {
+    document.querySelectorAll('[data-touch]').forEach(input => {
+      const name = input.dataset.touch;
+      input.value = this.gameController.touchInput.settings[name];
+
+      input.addEventListener('change', () => {
+        try {
+          const value = name === 'mode' ? input.value : Number(input.value);
+          this.gameController.setTouchSettings({ [name]: value });
+        } catch (error) {
+          console.warn(error.message);
+          input.value = this.gameController.touchInput.settings[name];
+        }
+      });
+    });
+  }
+
+  // One dialog edits the keyboard bindings or a controller's layout, whichever it was opened for
+  setupKeyBindingsDialog() {
+    const dialog = document.getElementById('keyBindingsDialog');
+    const openBtn = document.getElementById('keyBindingsBtn');
+    this.renderControlsHelp();
+    if (!dialog || !openBtn) return;
+
+    const json = document.getElementById('keyBindingsJson');
+
+    openBtn.addEventListener('click', () => {
+      this.openBindingsDialog({
+        title: 'Key Bindings',
+        bindings: this.gameController.keyBindings,
+        pad: null,
+        save: () => this.gameController.saveKeyBindings()
+      });
+    });
+
+    // "Add" waits for the next key (or button) press; "Clear" removes every key from the action
+    document.getElementById('keyBindingsTable').addEventListener('click', (e) => {
+      const { bindAction, clearAction } = e.target.dataset;
+      const { bindings, pad } = this.bindingsTarget;
+      if (bindAction) {
+        e.target.textContent = pad === null ? 'Press a key...' : 'Press a button...';
+        if (pad === null) {
+          this.capturingAction = bindAction;
+        } else {
+          this.gameController.gamepadInput.captureNext(pad, control => this.bindCaptured(bindAction, control));
+        }
+      } else if (clearAction) {
+        bindings.getKeys(clearAction).forEach(key => bindings.unbind(clearAction, key));
+        this.onKeyBindingsChanged();
+      }
+    });
+
+    // Capture phase, so the key being bound never reaches the game
+    window.addEventListener('keydown', (e) => {
+      if (!this.capturingAction) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      const action = this.capturingAction;
+      this.capturingAction = null;
+      this.bindCaptured(action, e.key);
+    }, true);
+
+    document.getElementById('resetBindingsBtn').addEventListener('click', () => {
+      this.bindingsTarget.bindings.reset();
+      this.onKeyBindingsChanged();
+    });
+
+    document.getElementById('exportBindingsBtn').addEventListener('click', () => {
+      json.value = this.bindingsTarget.bindings.export();
+      json.select();
+    });
+
+    document.getElementById('importBindingsBtn').addEventListener('click', () => {
+      try {
+        const conflicts = this.bindingsTarget.bindings.import(json.value);
+        const warnings = conflicts.map(({ key, actions }) =>
+          `${formatKey(key)} is bound to ${actions.map(name => BINDABLE_ACTIONS[name].label).join(' and ')}`);
+        this.onKeyBindingsChanged(warnings.join('; '));
+      } catch (error) {
+        this.renderKeyBindings(error.message);
+      }
+    });
+  }
+
+  openBindingsDialog(target) {
+    this.bindingsTarget = target;
+    this.capturingAction = null;
+    document.getElementById('keyBindingsTitle').textContent = target.title;
+    document.getElementById('keyBindingsJson').value = '';
+    this.renderKeyBindings();
+    document.getElementById('keyBindingsDialog').style.display = 'flex';
+  }
+
+  bindCaptured(action, key) {
+    const conflicts = this.bindingsTarget.bindings.bind(action, key);
+    const taken = conflicts.map(name => BINDABLE_ACTIONS[name].label).join(', ');
+    this.onKeyBindingsChanged(taken ? `${formatKey(key)} was unbound from ${taken}` : '');
+  }
+
+  onKeyBindingsChanged(warning = '') {
+    this.bindingsTarget.save();
+    this.renderKeyBindings(warning);
+    this.renderControlsHelp();
+  }
+
+  // Rows built as elements, since key names can come from an imported file
+  renderKeyBindings(warning = '') {
+    const { bindings } = this.bindingsTarget;
+    const table = document.getElementById('keyBindingsTable');
+    table.replaceChildren(...Object.entries(BINDABLE_ACTIONS).map(([name, { label }]) => {
+      const keys = bindings.getKeys(name).map(formatKey).join(', ') || '(none)';
+      const cells = [label, keys, ''].map(text => Object.assign(document.createElement('td'), { textContent: text }));
+
+      const bindBtn = Object.assign(document.createElement('button'), { className: 'button', textContent: 'Add' });
+      bindBtn.dataset.bindAction = name;
+      const clearBtn = Object.assign(document.createElement('button'), { className: 'button', textContent: 'Clear' });
+      clearBtn.dataset.clearAction = name;
+      cells[2].append(bindBtn, ' ', clearBtn);
+
+      const row = document.createElement('tr');
+      row.append(...cells);
+      return row;
+    }));
+
+    // Actions without a key can't be played, so warn about those too
+    const unbound = bindings.getUnbound().map(name => BINDABLE_ACTIONS[name].label);
+    const warnings = [warning, unbound.length ? `No key for: ${unbound.join(', ')}` : ''].filter(Boolean);
+    document.getElementById('keyBindingsWarning').textContent = warnings.join('. ');
+  }
+
+  // Theme panel: choosing a theme previews it on the board; Apply keeps it, Cancel goes back to the kept one
+  setupThemePanel() {
+    const select = document.getElementById('themeSelect');
+    if (!select) return;
+
+    this.renderThemeList();
+    this.loadThemeList().catch(error => console.error('Failed to load themes:', error));
+
+    select.addEventListener('change', () => {
+      this.gameController.previewTheme(select.value);
+    });
+
+    document.getElementById('applyThemeBtn').addEventListener('click', () => {
+      this.gameController.setTheme(select.value);
+    });
+
+    document.getElementById('cancelThemeBtn').addEventListener('click', () => {
+      this.gameController.previewTheme(this.gameController.appliedTheme);
+    });
+
+    this.setupThemeDialog();
+  }
+
+  // Import and export share one textarea, like the key bindings dialog
+  setupThemeDialog() {
+    const dialog = document.getElementById('themeDialog');
+    const openBtn = document.getElementById('themeJsonBtn');
+    if (!dialog || !openBtn) return;
+
+    const json = document.getElementById('themeJson');
+    const status = document.getElementById('themeStatus');
+
+    openBtn.addEventListener('click', () => {
+      json.value = '';
+      status.textContent = '';
+      dialog.style.display = 'flex';
+    });
+
+    document.getElementById('exportThemeBtn').addEventListener('click', () => {
+      json.value = this.gameController.exportTheme(document.getElementById('themeSelect').value);
+      json.select();
+    });
+
+    // An imported theme is previewed straight away; Apply in the panel keeps it
+    document.getElementById('importThemeBtn').addEventListener('click', () => {
+      try {
+        const theme = this.gameController.importTheme(json.value);
+        this.renderThemeList();
+        this.gameController.previewTheme(theme.id);
+        status.textContent = `Imported ${theme.name}. Apply it in the Theme panel to keep it.`;
+      } catch (error) {
+        status.textContent = error.message;
+      }
+    });
+  }
+
+  // Options built as elements, since imported theme names come from pasted JSON
+  renderThemeList() {
+    const select = document.getElementById('themeSelect');
+    const { themes, theme } = this.gameController.renderer;
+    select.replaceChildren(...themes.list().map(({ id, name }) => new Option(name, id)));
+    select.value = theme;
+  }
+
+  // Themes shipped with the game, listed in the theme manifest
+  async loadThemeList() {
+    const response = await fetch('themes/index.json');
+    const entries = await response.json();
+
+    const { themes } = this.gameController.renderer;
+    for (const { file } of entries) {
+      const theme = await fetch(`themes/${file}`);
+      themes.register(await theme.json());
+    }
+
+    this.renderThemeList();
+    this.gameController.restoreTheme();
+  }
+
+  // Gamepad panel: connected controllers, stick deadzone and a per-controller "Map Buttons" dialog
+  setupGamepadPanel() {
+    const select = document.getElementById('gamepadSelect');
+    const deadzoneInput = document.getElementById('deadzoneInput');
+    const mapBtn = document.getElementById('gamepadBindingsBtn');
+    if (!select || !mapBtn) return;
+
+    const { gamepadInput } = this.gameController;
+
+    const renderPads = () => {
+      const pads = [...gamepadInput.pads.entries()];
+      // Options built as elements: pad ids come from the device
+      select.replaceChildren(...pads.map(([index, pad]) => new Option(pad.id, index)));
+      select.disabled = mapBtn.disabled = pads.length === 0;
+      document.getElementById('gamepadStatus').textContent = pads.length
+        ? `${pads.length} controller${pads.length === 1 ? '' : 's'} connected`
+        : 'No controller connected';
+    };
+    this.gameController.onGamepadsChanged = renderPads;
+    renderPads();
+
+    if (deadzoneInput) {
+      deadzoneInput.value = gamepadInput.deadzone;
+      deadzoneInput.addEventListener('change', () => {
+        try {
+          gamepadInput.setDeadzone(Number(deadzoneInput.value));
+          this.gameController.saveGamepadSettings();
+        } catch (error) {
+          console.warn(error.message);
+          deadzoneInput.value = gamepadInput.deadzone;
+        }
+      });
+    }
+
+    mapBtn.addEventListener('click', () => {
+      const index = Number(select.value);
+      const pad = gamepadInput.pads.get(index);
+      if (!pad) return;
+
+      this.openBindingsDialog({
+        title: `Gamepad: ${pad.id}`,
+        bindings: pad.bindings,
+        pad: index,
+        save: () => this.gameController.saveGamepadSettings()
+      });
+    });
+  }
+
+  renderControlsHelp() {
+    const help = document.getElementById('controlsHelp');
+    if (!help) return;
+
+    const { keyBindings } = this.gameController;
+    const lines = Object.entries(BINDABLE_ACTIONS)
+      .filter(([name]) => keyBindings.getKeys(name).length > 0)
+      .map(([name, { label }]) => `${keyBindings.getKeys(name).map(formatKey).join(' / ')} ${label}`);
+    // Text nodes, not markup: the key names may come from an imported file
+    const title = Object.assign(document.createElement('strong'), { textContent: 'Keyboard:' });
+    help.replaceChildren(title, ...[...lines, 'F1 Toggle theme'].flatMap(line => [document.createElement('br'), line]));
+  }
+
+  // Each input edits the handling setting named by its data-handling attribute
+  setupHandlingInputs() {
+    document.querySelectorAll('[data-handling]').forEach(input => {
+      const name = input.dataset.handling;
+      input.value = this.gameController.inputHandler.handling[name];
+
+      input.addEventListener('change', () => {
+        try {
+          this.gameController.setHandling({ [name]: Number(input.value) });
+        } catch (error) {
+          console.warn(error.message);
+          input.value = this.gameController.inputHandler.handling[name];
+        }
+      });
+    });
   }
 
   async showAIHint() {
@@ -306,7 +652,27 @@ class TetrisApp {
     // Game state management
     app.post('/api/game/start', async (req, res) => {
       try {
-        const result = await this.orchestrator.startGame();
+        const { seed, randomizer, rules, scoring, mode, garbage, puzzle, level } = req.body || {};
+        const result = await this.orchestrator.startGame({
+          seed, randomizer, rules, scoring, mode, garbage, puzzle, level
+        });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Save/resume, the same contract as the cloud handlers: GET returns { success, snapshot }, POST takes
+    // { snapshot }. This server runs a single game, so the cloud handlers' playerId is not needed here
+    app.get('/api/game-state', async (req, res) => {
+      try {
+        const result = await this.orchestrator.routeMessage('api', 'game-engine', {
+          type: 'SAVE_GAME',
+          payload: {}
+        });
         res.json(result);
       } catch (error) {
         res.status(500).json({
@@ -316,6 +682,22 @@ class TetrisApp {
       }
     });
 
+    app.post('/api/game-state', async (req, res) => {
+      try {
+        const { snapshot } = req.body || {};
+        const result = await this.orchestrator.routeMessage('api', 'game-engine', {
+          type: 'LOAD_GAME',
+          payload: { snapshot }
+        });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     app.post('/api/game/move', async (req, res) => {
       try {
         const { direction } = req.body;
@@ -335,10 +717,10 @@ class TetrisApp {
     // AI predictions
     app.post('/api/ai/predict', async (req, res) => {
       try {
-        const { piece, grid, nextPieces } = req.body;
+        const { piece, grid, nextPieces, holdPiece, canHold } = req.body;
         const result = await this.orchestrator.routeMessage('api', 'ai-predictor', {
           type: 'PREDICT_BEST_MOVE',
-          payload: { piece, grid, nextPieces }
+          payload: { piece, grid, nextPieces, holdPiece, canHold }
         });
         res.json(result);
       } catch (error) {
@@ -363,7 +745,8 @@ class TetrisApp {
     });
   }
 
-  async startGame() {
+  // Options default to the mode picker selection (marathon outside the browser UI)
+  async startGame(options) {
     if (!this.isInitialized) {
       throw new Error('App not initialized');
     }
@@ -374,10 +757,17 @@ class TetrisApp {
         this.orchestrator.stopGame();
       }
 
-      await this.orchestrator.startGame({ skipLoop: typeof window !== 'undefined' });
+      const modeSelect = typeof document !== 'undefined' ? document.getElementById('modeSelect') : null;
+      const levelInput = typeof document !== 'undefined' ? document.getElementById('startLevel') : null;
+      const gameOptions = options || {
+        mode: modeSelect ? modeSelect.value : 'marathon',
+        level: levelInput ? Math.max(1, parseInt(levelInput.value, 10) || 1) : 1
+      };
+
+      await this.orchestrator.startGame({ skipLoop: typeof window !== 'undefined', ...gameOptions });
 
       if (this.gameController) {
-        this.gameController.start();
+        this.gameController.start(gameOptions);
       }
 
       console.log('🎮 Game started!');
@@ -387,6 +777,64 @@ class TetrisApp {
     }
   }
 
+  async loadPuzzleList() {
+    const response = await fetch('puzzles/index.json');
+    this.puzzles = await response.json();
+
+    const select = document.getElementById('puzzleSelect');
+    const goal = document.getElementById('puzzleGoal');
+    select.replaceChildren(...this.puzzles.map(({ id, name }) => new Option(name, id)));
+
+    // Show the selected puzzle's objective before it starts
+    const showGoal = async () => {
+      const puzzle = await this.loadPuzzle(select.value);
+      if (goal) goal.textContent = `${describeGoal(puzzle.goal)} in ${puzzle.maxPieces} pieces`;
+    };
+    select.addEventListener('change', () => showGoal().catch(console.error));
+    await showGoal();
+  }
+
+  async loadPuzzle(id) {
+    const entry = this.puzzles.find(puzzle => puzzle.id === id);
+    if (!entry) {
+      throw new Error(`Unknown puzzle: ${id}`);
+    }
+
+    const response = await fetch(`puzzles/${entry.file}`);
+    return parsePuzzle(await response.json());
+  }
+
+  async startPuzzle() {
+    const select = document.getElementById('puzzleSelect');
+    if (!select || !select.value) return;
+
+    const puzzle = await this.loadPuzzle(select.value);
+    await this.startGame({ puzzle });
+  }
+
+  async resumeGame() {
+    if (!this.isInitialized) {
+      throw new Error('App not initialized');
+    }
+
+    const snapshot = this.gameController?.getSavedGame();
+    if (!snapshot) return false;
+
+    try {
+      if (this.orchestrator) {
+        this.orchestrator.stopGame();
+        await this.orchestrator.resumeGame(snapshot, { skipLoop: true });
+      }
+
+      const resumed = this.gameController.resume();
+      console.log(resumed ? '🎮 Game resumed!' : '⚠️ No saved game to resume');
+      return resumed;
+    } catch (error) {
+      console.error('❌ Failed to resume game:', error);
+      throw error;
+    }
+  }
+
   async restart() {
     if (this.gameController) {
       // Hide dialog first
@@ -431,7 +879,9 @@ async function main() {
     // Auto-start game in browser
     if (typeof window !== 'undefined') {
       // Wait a bit for UI to be ready
+      // An autosaved game waits for "Resume Last Game" or "Start Game" instead
       setTimeout(() => {
+        if (app.gameController?.hasSavedGame()) return;
         app.startGame().catch(console.error);
       }, 1000);
     }
@@ -0,0 +1,163 @@
+// Key-state input: held keys and buttons, Delayed Auto Shift and Auto Repeat Rate, processed once per engine tick
+import { TICK_RATE } from './game-engine.js';
+import { KeyBindings, normalizeKey } from './keybindings.js';
+
+// Time is counted in whole ticks and converted back, so a 100ms DAS is exactly 6 ticks
+function ticksToMs(ticks) {
+  return ticks * 1000 / TICK_RATE;
+}
+
+// Handling settings in milliseconds, except softDropFactor (a gravity multiplier)
+const HANDLING_DEFAULTS = {
+  das: 167, // Hold time before a held direction starts repeating
+  arr: 33, // Time between repeated moves; 0 slides straight to the wall
+  softDropFactor: 20,
+  dasCut: 0 // Pause in auto-repeat after a piece spawns, so a held direction doesn't drag the new piece along
+};
+
+// Actions the engine applies; everything else (pause, undo...) is handled by the controller on keydown
+const ENGINE_ACTIONS = ['move', 'rotate', 'drop', 'hold', 'softDrop'];
+
+// Presses the engine keeps for the next piece when they arrive between pieces
+const BUFFERED_ACTIONS = ['move', 'rotate', 'hold'];
+
+// The step between the InputHandler and the engine. While no piece is in play (line clear or entry delay),
+// move, rotate and hold presses are marked `buffered` so the engine applies them as the next piece spawns
+// (IRS/IHS); auto-repeat and hard drops from that window are dropped rather than landing on the new piece
+function bufferInputs(presses, repeats, engine) {
+  if (engine.currentPiece && engine.phase === 'falling') {
+    return [...presses, ...repeats];
+  }
+
+  return presses
+    .filter(action => action.type !== 'drop')
+    .map(action => (BUFFERED_ACTIONS.includes(action.type) ? { ...action, buffered: true } : action));
+}
+
+// Fills in defaults and rejects settings that are not non-negative numbers
+function resolveHandling(settings = {}) {
+  const handling = { ...HANDLING_DEFAULTS, ...settings };
+
+  Object.keys(HANDLING_DEFAULTS).forEach(name => {
+    if (typeof handling[name] !== 'number' || !(handling[name] >= 0)) {
+      throw new Error(`Invalid handling setting ${name}: ${handling[name]}`);
+    }
+  });
+  if (handling.softDropFactor < 1) {
+    throw new Error(`Invalid handling setting softDropFactor: ${handling.softDropFactor}`);
+  }
+
+  return handling;
+}
+
+class InputHandler {
+  constructor(handling = {}, keyBindings = new KeyBindings()) {
+    this.keyBindings = keyBindings;
+    this.handling = resolveHandling(handling);
+    this.held = new Map(); // Input id (a key, or a gamepad control) -> the action it is holding
+    this.shift = null; // { direction, ticks, repeats } for the direction currently auto-shifting
+    this.cutTicks = 0;
+  }
+
+  setHandling(settings) {
+    this.handling = resolveHandling({ ...this.handling, ...settings });
+  }
+
+  // Returns the action for a fresh key press; OS key repeat and unmapped keys return null
+  keyDown(key) {
+    return this.press(normalizeKey(key), this.getKeyAction(key));
+  }
+
+  // Returns the action a key release produces (ending a soft drop), or null
+  keyUp(key) {
+    return this.release(normalizeKey(key));
+  }
+
+  // Any device's press goes through here, keyed by an id unique to that key or button
+  press(id, action) {
+    if (!action || this.held.has(id)) return null;
+
+    this.held.set(id, action);
+
+    // The newest direction wins and moves once straight away; DAS starts charging from here
+    if (action.type === 'move') {
+      this.shift = { direction: action.direction, ticks: 0, repeats: 0 };
+    }
+    if (action.type === 'softDrop') {
+      return { ...action, factor: this.handling.softDropFactor };
+    }
+    return action;
+  }
+
+  release(id) {
+    const action = this.held.get(id);
+    if (!action) return null;
+
+    this.held.delete(id);
+    if (action.type === 'softDrop') {
+      return this.isHeld('softDrop') ? null : { type: 'softDrop', active: false };
+    }
+
+    // Letting go of one direction hands over to the other if it's still held, with a fresh DAS
+    if (action.type === 'move' && this.shift?.direction === action.direction && !this.isHeld('move', action.direction)) {
+      const other = action.direction === 'left' ? 'right' : 'left';
+      this.shift = this.isHeld('move', other) ? { direction: other, ticks: 0, repeats: 0 } : null;
+    }
+    return null;
+  }
+
+  isHeld(type, direction) {
+    return [...this.held.values()].some(action =>
+      action.type === type && (direction === undefined || action.direction === direction));
+  }
+
+  // Releases everything, e.g. when the window loses focus and keyups would be missed
+  releaseAll() {
+    const softDropping = this.isHeld('softDrop');
+    this.held.clear();
+    this.shift = null;
+    return softDropping ? [{ type: 'softDrop', active: false }] : [];
+  }
+
+  // Called when a new piece spawns; with 0 ARR a charged shift slides the new piece to the wall too
+  cutDas() {
+    this.cutTicks = Math.ceil(this.handling.dasCut * TICK_RATE / 1000);
+    if (this.shift && this.handling.arr === 0) {
+      this.shift.repeats = 0;
+    }
+  }
+
+  // Advances held keys by one tick and returns the auto-repeat moves due on it, flagged `repeat`
+  update() {
+    if (!this.shift) return [];
+
+    if (this.cutTicks > 0) {
+      this.cutTicks--;
+      return [];
+    }
+
+    const { das, arr } = this.handling;
+    const shift = this.shift;
+    shift.ticks++;
+    const held = ticksToMs(shift.ticks);
+    if (held < das) return [];
+
+    // 0 ARR: one move that slides all the way once DAS charges; cutDas re-arms it for the next piece
+    if (arr === 0) {
+      if (shift.repeats > 0) return [];
+      shift.repeats = 1;
+      return [{ type: 'move', direction: shift.direction, toWall: true, repeat: true }];
+    }
+
+    const due = Math.floor((held - das) / arr) + 1;
+    const moves = due - shift.repeats;
+    shift.repeats = due;
+    return Array.from({ length: moves }, () => ({ type: 'move', direction: shift.direction, repeat: true }));
+  }
+
+  getKeyAction(key) {
+    return this.keyBindings.getAction(key);
+  }
+}
+
+export { HANDLING_DEFAULTS, ENGINE_ACTIONS, BUFFERED_ACTIONS, bufferInputs, resolveHandling, InputHandler };
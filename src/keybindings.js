@@ -0,0 +1,178 @@
+// Key bindings: the registry of named actions and their keys, shared by the game controller and the orchestrator
+const BINDABLE_ACTIONS = {
+  moveLeft: { label: 'Move left', action: { type: 'move', direction: 'left' } },
+  moveRight: { label: 'Move right', action: { type: 'move', direction: 'right' } },
+  softDrop: { label: 'Soft drop', action: { type: 'softDrop', active: true } },
+  hardDrop: { label: 'Hard drop', action: { type: 'drop' } },
+  rotateCW: { label: 'Rotate clockwise', action: { type: 'rotate', direction: 'cw' } },
+  rotateCCW: { label: 'Rotate counter-clockwise', action: { type: 'rotate', direction: 'ccw' } },
+  rotate180: { label: 'Rotate 180°', action: { type: 'rotate', direction: '180' } },
+  hold: { label: 'Hold piece', action: { type: 'hold' } },
+  pause: { label: 'Pause game', action: { type: 'pause' } },
+  restart: { label: 'Restart game', action: { type: 'restart' } },
+  undo: { label: 'Undo (practice)', action: { type: 'undo' } },
+  redo: { label: 'Redo (practice)', action: { type: 'redo' } }
+};
+
+const DEFAULT_BINDINGS = {
+  moveLeft: ['ArrowLeft'],
+  moveRight: ['ArrowRight'],
+  softDrop: ['ArrowDown'],
+  hardDrop: [' '],
+  rotateCW: ['ArrowUp', 'x'],
+  rotateCCW: ['z', 'Control'],
+  rotate180: ['a'],
+  hold: ['c', 'Shift'],
+  pause: ['Escape', 'p'],
+  restart: ['r'],
+  undo: ['u'],
+  redo: ['y']
+};
+
+// The canvas Controls panel: short labels, with related actions sharing a line
+const CONTROLS_SUMMARY = [
+  { actions: ['moveLeft', 'moveRight', 'softDrop'], label: 'Move' },
+  { actions: ['rotateCW'], label: 'Rotate CW' },
+  { actions: ['rotateCCW'], label: 'Rotate CCW' },
+  { actions: ['rotate180'], label: 'Rotate 180°' },
+  { actions: ['hardDrop'], label: 'Drop' },
+  { actions: ['hold'], label: 'Hold' },
+  { actions: ['undo', 'redo'], label: 'Undo / Redo' }
+];
+
+const KEY_NAMES = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Control: 'Ctrl', Escape: 'Esc' };
+
+// Letters match regardless of Shift or Caps Lock
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function formatKey(key) {
+  return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Checks a bindings object (e.g. parsed from an imported file) and normalizes its keys
+function validateBindings(bindings) {
+  if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+    throw new Error('Invalid key bindings: expected an object of action names to keys');
+  }
+
+  const validated = {};
+  Object.entries(bindings).forEach(([name, keys]) => {
+    if (!BINDABLE_ACTIONS[name]) {
+      throw new Error(`Unknown action: ${name}`);
+    }
+    if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string' || key.length === 0)) {
+      throw new Error(`Invalid keys for ${name}: expected an array of key names`);
+    }
+    validated[name] = [...new Set(keys.map(normalizeKey))];
+  });
+  return validated;
+}
+
+class KeyBindings {
+  // Actions missing from `bindings` keep their defaults; gamepads pass their own default layout
+  constructor(bindings = {}, defaults = DEFAULT_BINDINGS) {
+    this.defaults = defaults;
+    this.bindings = this.withDefaults(validateBindings(bindings));
+  }
+
+  withDefaults(bindings) {
+    const merged = {};
+    Object.keys(BINDABLE_ACTIONS).forEach(name => {
+      merged[name] = (bindings[name] ?? this.defaults[name] ?? []).map(normalizeKey);
+    });
+    return merged;
+  }
+
+  // The action name a key triggers; the first action listed wins if a key is bound twice
+  getActionName(key) {
+    const normalized = normalizeKey(key);
+    return Object.keys(this.bindings).find(name => this.bindings[name].includes(normalized)) || null;
+  }
+
+  getAction(key) {
+    const name = this.getActionName(key);
+    return name ? { ...BINDABLE_ACTIONS[name].action } : null;
+  }
+
+  getKeys(name) {
+    return [...(this.bindings[name] || [])];
+  }
+
+  // Adds a key to an action, taking it from any action that had it; returns the names it was taken from
+  bind(name, key) {
+    if (!BINDABLE_ACTIONS[name]) {
+      throw new Error(`Unknown action: ${name}`);
+    }
+
+    const normalized = normalizeKey(key);
+    const conflicts = Object.keys(this.bindings)
+      .filter(other => other !== name && this.bindings[other].includes(normalized));
+    conflicts.forEach(other => this.unbind(other, normalized));
+
+    if (!this.bindings[name].includes(normalized)) {
+      this.bindings[name].push(normalized);
+    }
+    return conflicts;
+  }
+
+  unbind(name, key) {
+    if (!this.bindings[name]) return;
+    const normalized = normalizeKey(key);
+    this.bindings[name] = this.bindings[name].filter(bound => bound !== normalized);
+  }
+
+  // Keys bound to more than one action, as { key, actions }
+  getConflicts() {
+    const owners = new Map();
+    Object.entries(this.bindings).forEach(([name, keys]) => {
+      keys.forEach(key => owners.set(key, [...(owners.get(key) || []), name]));
+    });
+    return [...owners.entries()]
+      .filter(([, actions]) => actions.length > 1)
+      .map(([key, actions]) => ({ key, actions }));
+  }
+
+  // Actions the player has cleared every key from (ones unbound by default don't count)
+  getUnbound() {
+    return Object.keys(this.bindings)
+      .filter(name => this.bindings[name].length === 0 && this.defaults[name]?.length > 0);
+  }
+
+  // One line per CONTROLS_SUMMARY entry that still has a key, e.g. '↑ / X Rotate CW'
+  getSummary() {
+    return CONTROLS_SUMMARY.map(({ actions, label }) => {
+      const keys = actions
+        .map(name => this.bindings[name].map(formatKey).join(' / '))
+        .filter(Boolean);
+      return keys.length > 0 ? `${keys.join(' ')} ${label}` : null;
+    }).filter(Boolean);
+  }
+
+  reset() {
+    this.bindings = this.withDefaults({});
+  }
+
+  toJSON() {
+    return this.withDefaults(this.bindings);
+  }
+
+  export() {
+    return JSON.stringify(this.toJSON(), null, 2);
+  }
+
+  // Replaces every binding from exported JSON; a file that doesn't validate leaves the current bindings alone
+  import(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      throw new Error('Invalid key bindings: not valid JSON');
+    }
+    this.bindings = this.withDefaults(validateBindings(parsed));
+    return this.getConflicts();
+  }
+}
+
+export { BINDABLE_ACTIONS, DEFAULT_BINDINGS, CONTROLS_SUMMARY, normalizeKey, formatKey, validateBindings, KeyBindings };
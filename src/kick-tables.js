@@ -0,0 +1,83 @@
+// SRS wall kick tables for clockwise, counter-clockwise and 180° rotation
+// Offsets are [x, y] with y pointing up, as published; getKicks converts to grid space.
+// Keys are `${from}>${to}` using rotation states 0, 1 (R), 2 and 3 (L).
+
+const JLSTZ_KICKS = {
+  '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+const I_KICKS = {
+  '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// SRS+ makes I kicks left/right symmetric
+const I_KICKS_PLUS = {
+  '0>1': [[0, 0], [1, 0], [-2, 0], [-2, -1], [1, 2]],
+  '1>0': [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]],
+  '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '3>2': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0>3': [[0, 0], [-1, 0], [2, 0], [2, -1], [-1, 2]]
+};
+
+// Plain SRS has no 180° kicks; SRS+ adds a six-test table
+const NO_180_KICKS = {
+  '0>2': [[0, 0]],
+  '2>0': [[0, 0]],
+  '1>3': [[0, 0]],
+  '3>1': [[0, 0]]
+};
+
+const PLUS_180_KICKS = {
+  '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+  '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+  '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+  '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+const KICK_SYSTEMS = {
+  srs: {
+    JLSTZ: { ...JLSTZ_KICKS, ...NO_180_KICKS },
+    I: { ...I_KICKS, ...NO_180_KICKS }
+  },
+  srsPlus: {
+    JLSTZ: { ...JLSTZ_KICKS, ...PLUS_180_KICKS },
+    I: { ...I_KICKS_PLUS, ...PLUS_180_KICKS }
+  }
+};
+
+const ROTATION_TURNS = { cw: 1, ccw: -1, '180': 2 };
+
+function getKicks(system, pieceType, fromRotation, toRotation) {
+  const tables = KICK_SYSTEMS[system];
+  if (!tables) {
+    throw new Error(`Unknown rotation system: ${system}`);
+  }
+
+  // The O piece never kicks
+  if (pieceType === 'O') return [{ x: 0, y: 0 }];
+
+  const table = pieceType === 'I' ? tables.I : tables.JLSTZ;
+  const kicks = table[`${fromRotation}>${toRotation}`] || [[0, 0]];
+
+  // Flip y: the grid grows downwards (avoiding -0 for untouched rows)
+  return kicks.map(([x, y]) => ({ x, y: y === 0 ? 0 : -y }));
+}
+
+export { KICK_SYSTEMS, ROTATION_TURNS, getKicks };
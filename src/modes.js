@@ -0,0 +1,93 @@
+// Game modes: objectives, time limits, starting boards and high-score ranking
+import { GARBAGE_CELL, createGarbageRow } from './garbage.js';
+
+const MODE_DEFAULTS = {
+  lineGoal: 0, // Lines needed to complete the mode (0 = endless)
+  timeLimit: 0, // Milliseconds before the game ends (0 = untimed)
+  garbageRows: 0, // Rows of garbage on the starting board
+  topOut: true, // Whether blocking the spawn ends the game
+  undo: false, // Whether piece placements can be undone and redone
+  rankBy: 'score' // 'score' (highest first) or 'time' (fastest completion first)
+};
+
+const GAME_MODES = {
+  marathon: { name: 'Marathon' },
+  sprint: { name: 'Sprint 40L', lineGoal: 40, rankBy: 'time' },
+  ultra: { name: 'Ultra', timeLimit: 120000 },
+  // Topping out clears the board instead of ending the game
+  zen: { name: 'Zen', topOut: false },
+  // Dig out every garbage row as fast as possible
+  cheese: { name: 'Cheese', garbageRows: 10, rankBy: 'time' },
+  // Endless marathon where placements can be stepped back and forth
+  practice: { name: 'Practice', undo: true }
+};
+
+class GameMode {
+  constructor(type, definition) {
+    this.type = type;
+    Object.assign(this, MODE_DEFAULTS, definition);
+  }
+
+  // Fills the bottom of the grid with one-hole garbage rows
+  setupBoard(grid, rng) {
+    const width = grid[0].length;
+    let lastHole = -1;
+
+    for (let i = 0; i < this.garbageRows; i++) {
+      // Never stack two holes in the same column so every row needs digging
+      let hole = rng.nextInt(width);
+      if (hole === lastHole) hole = (hole + 1 + rng.nextInt(width - 1)) % width;
+      lastHole = hole;
+
+      grid[grid.length - 1 - i] = createGarbageRow(width, hole);
+    }
+    return grid;
+  }
+
+  // Returns 'completed' or 'timeUp' once the mode's objective ends the game
+  checkCompletion(engine) {
+    if (this.lineGoal > 0 && engine.lines >= this.lineGoal) return 'completed';
+    if (this.garbageRows > 0 && this.countGarbage(engine.grid) === 0) return 'completed';
+    if (this.timeLimit > 0 && engine.elapsedTime >= this.timeLimit) return 'timeUp';
+    return null;
+  }
+
+  countGarbage(grid) {
+    return grid.filter(row => row.includes(GARBAGE_CELL)).length;
+  }
+
+  getProgress(engine) {
+    return {
+      linesRemaining: this.lineGoal > 0 ? Math.max(0, this.lineGoal - engine.lines) : null,
+      timeRemaining: this.timeLimit > 0 ? Math.max(0, this.timeLimit - engine.elapsedTime) : null,
+      garbageRemaining: this.garbageRows > 0 ? this.countGarbage(engine.grid) : null
+    };
+  }
+
+  // Timed objectives only rank games that actually reached the goal
+  qualifies(result) {
+    return this.rankBy !== 'time' || result.outcome === 'completed';
+  }
+
+  compareResults(a, b) {
+    return this.rankBy === 'time' ? a.time - b.time : b.score - a.score;
+  }
+}
+
+// Formats milliseconds as m:ss.t for timed modes
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}.${Math.floor((ms % 1000) / 100)}`;
+}
+
+function createMode(type = 'marathon') {
+  const definition = GAME_MODES[type];
+  if (!definition) {
+    throw new Error(`Unknown game mode: ${type}`);
+  }
+  return new GameMode(type, definition);
+}
+
+export { GAME_MODES, GameMode, createMode, formatTime };
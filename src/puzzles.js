@@ -0,0 +1,121 @@
+// Puzzle mode: authored starting boards, fixed piece sequences and clear objectives
+import { GameMode } from './modes.js';
+import { GARBAGE_CELL } from './garbage.js';
+import { PIECE_TYPES } from './randomizer.js';
+
+// lines: clear `lines` in total, tspin: one T-spin clearing exactly `lines`, perfectClear: empty the board
+const PUZZLE_GOALS = ['lines', 'tspin', 'perfectClear'];
+
+const EMPTY_CELL = '.';
+const CLEAR_NAMES = ['', 'Single', 'Double', 'Triple', 'Quad'];
+
+function parseCell(char) {
+  if (char === EMPTY_CELL) return 0;
+  if (char === GARBAGE_CELL || PIECE_TYPES.includes(char)) return char;
+  throw new Error(`Unknown puzzle cell: ${char}`);
+}
+
+// Validates a puzzle definition (as loaded from JSON) and fills in defaults
+function parsePuzzle(definition) {
+  const { id, name = id, description = '', grid = [], pieces = [], goal, hold = true } = definition || {};
+
+  if (!id) {
+    throw new Error('Invalid puzzle: missing id');
+  }
+  if (pieces.length === 0) {
+    throw new Error(`Invalid puzzle ${id}: no pieces`);
+  }
+  pieces.forEach(type => {
+    if (!PIECE_TYPES.includes(type)) throw new Error(`Unknown puzzle piece: ${type}`);
+  });
+  if (!goal || !PUZZLE_GOALS.includes(goal.type)) {
+    throw new Error(`Unknown puzzle goal: ${goal?.type}`);
+  }
+  grid.forEach(row => [...row].forEach(parseCell));
+
+  return {
+    id,
+    name,
+    description,
+    grid: [...grid],
+    pieces: [...pieces],
+    goal: { lines: 1, ...goal },
+    hold,
+    // Pieces the player may lock before the puzzle counts as failed
+    maxPieces: definition.maxPieces ?? pieces.length,
+    // Optional rules preset or overrides, e.g. 'guideline' or { lineClearDelay: 0 }
+    rules: definition.rules
+  };
+}
+
+// Short objective text for the picker and the in-game HUD
+function describeGoal(goal) {
+  switch (goal.type) {
+    case 'lines':
+      return `Clear ${goal.lines} line${goal.lines === 1 ? '' : 's'}`;
+    case 'tspin':
+      return `T-Spin ${CLEAR_NAMES[goal.lines]}`;
+    case 'perfectClear':
+      return 'Perfect Clear';
+    default:
+      return goal.type;
+  }
+}
+
+class PuzzleMode extends GameMode {
+  constructor(puzzle) {
+    super('puzzle', { name: puzzle.name });
+    this.puzzle = puzzle;
+  }
+
+  // Puzzle rows are bottom-aligned; the rows above them start empty
+  setupBoard(grid) {
+    const width = grid[0].length;
+
+    this.puzzle.grid.forEach((row, index) => {
+      if (row.length !== width) {
+        throw new Error(`Invalid puzzle ${this.puzzle.id}: row ${index} is not ${width} cells wide`);
+      }
+      grid[grid.length - this.puzzle.grid.length + index] = [...row].map(parseCell);
+    });
+    return grid;
+  }
+
+  checkCompletion(engine) {
+    if (this.isGoalMet(engine)) return 'completed';
+    // The last piece may still be waiting out its line clear delay
+    if (engine.piecesPlaced >= this.puzzle.maxPieces && engine.clearingLines.length === 0) return 'failed';
+    return null;
+  }
+
+  isGoalMet(engine) {
+    const { goal } = this.puzzle;
+    // lastClear carries the lock it came from, so an older clear never counts twice
+    const clear = engine.lastClear?.id === engine.piecesPlaced ? engine.lastClear : null;
+
+    switch (goal.type) {
+      case 'lines':
+        return engine.lines >= goal.lines;
+      case 'tspin':
+        return clear?.spin === 'tspin' && clear.lines === goal.lines;
+      case 'perfectClear':
+        return clear?.lines > 0 && engine.isGridEmpty();
+      default:
+        return false;
+    }
+  }
+
+  getProgress(engine) {
+    return {
+      ...super.getProgress(engine),
+      piecesRemaining: Math.max(0, this.puzzle.maxPieces - engine.piecesPlaced)
+    };
+  }
+
+  // Puzzles are drills: they never enter the high score tables
+  qualifies() {
+    return false;
+  }
+}
+
+export { PUZZLE_GOALS, parsePuzzle, describeGoal, PuzzleMode };
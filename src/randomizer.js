@@ -0,0 +1,208 @@
+// Seedable piece randomizers for reproducible piece sequences
+const PIECE_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+// Small, fast 32-bit PRNG (mulberry32) - identical output in browser and Node
+class SeededRandom {
+  constructor(seed = Date.now()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  serialize() {
+    return this.state;
+  }
+
+  restore(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// Uniform random pick, no protection against droughts or floods
+class PureRandomizer {
+  constructor(rng) {
+    this.rng = rng;
+  }
+
+  next() {
+    return PIECE_TYPES[this.rng.nextInt(PIECE_TYPES.length)];
+  }
+
+  serialize() {
+    return { rng: this.rng.serialize() };
+  }
+
+  restore(state) {
+    this.rng.restore(state.rng);
+  }
+}
+
+// Guideline bag: every piece appears `bagCopies` times per shuffled bag
+class BagRandomizer {
+  constructor(rng, { bagCopies = 1 } = {}) {
+    this.rng = rng;
+    this.bagCopies = bagCopies;
+    this.bag = [];
+  }
+
+  refill() {
+    for (let i = 0; i < this.bagCopies; i++) {
+      this.bag.push(...PIECE_TYPES);
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = this.bag.length - 1; i > 0; i--) {
+      const j = this.rng.nextInt(i + 1);
+      [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
+    }
+  }
+
+  next() {
+    if (this.bag.length === 0) {
+      this.refill();
+    }
+    return this.bag.shift();
+  }
+
+  serialize() {
+    return { rng: this.rng.serialize(), bag: [...this.bag] };
+  }
+
+  restore(state) {
+    this.rng.restore(state.rng);
+    this.bag = [...state.bag];
+  }
+}
+
+// NES-style: roll an 8-sided die, reroll once on a repeat or the dummy face
+class ClassicRandomizer {
+  constructor(rng) {
+    this.rng = rng;
+    this.lastPiece = null;
+  }
+
+  next() {
+    const roll = this.rng.nextInt(PIECE_TYPES.length + 1);
+    let piece = PIECE_TYPES[roll];
+
+    if (roll === PIECE_TYPES.length || piece === this.lastPiece) {
+      piece = PIECE_TYPES[this.rng.nextInt(PIECE_TYPES.length)];
+    }
+
+    this.lastPiece = piece;
+    return piece;
+  }
+
+  serialize() {
+    return { rng: this.rng.serialize(), lastPiece: this.lastPiece };
+  }
+
+  restore(state) {
+    this.rng.restore(state.rng);
+    this.lastPiece = state.lastPiece;
+  }
+}
+
+// TGM-style: reroll up to `rolls` times while the pick is in the recent history
+class HistoryRandomizer {
+  constructor(rng, { rolls = 6, history = ['Z', 'S', 'Z', 'S'] } = {}) {
+    this.rng = rng;
+    this.rolls = rolls;
+    this.history = [...history];
+    this.isFirstPiece = true;
+  }
+
+  next() {
+    let piece;
+
+    if (this.isFirstPiece) {
+      // First piece is never S, Z or O so the opening is always playable
+      const openers = ['I', 'T', 'J', 'L'];
+      piece = openers[this.rng.nextInt(openers.length)];
+      this.isFirstPiece = false;
+    } else {
+      for (let attempt = 0; attempt < this.rolls; attempt++) {
+        piece = PIECE_TYPES[this.rng.nextInt(PIECE_TYPES.length)];
+        if (!this.history.includes(piece)) break;
+      }
+    }
+
+    this.history.shift();
+    this.history.push(piece);
+    return piece;
+  }
+
+  serialize() {
+    return { rng: this.rng.serialize(), history: [...this.history], isFirstPiece: this.isFirstPiece };
+  }
+
+  restore(state) {
+    this.rng.restore(state.rng);
+    this.history = [...state.history];
+    this.isFirstPiece = state.isFirstPiece;
+  }
+}
+
+// Deals a fixed, authored list of pieces in order (puzzles); returns null once it runs out
+class SequenceRandomizer {
+  constructor(pieces) {
+    this.pieces = [...pieces];
+    this.index = 0;
+  }
+
+  next() {
+    return this.index < this.pieces.length ? this.pieces[this.index++] : null;
+  }
+
+  serialize() {
+    return { index: this.index };
+  }
+
+  restore(state) {
+    this.index = state.index;
+  }
+}
+
+const RANDOMIZERS = {
+  bag7: (rng) => new BagRandomizer(rng, { bagCopies: 1 }),
+  bag14: (rng) => new BagRandomizer(rng, { bagCopies: 2 }),
+  nes: (rng) => new ClassicRandomizer(rng),
+  tgm: (rng) => new HistoryRandomizer(rng, { rolls: 6 }),
+  random: (rng) => new PureRandomizer(rng)
+};
+
+function createRandomizer(strategy = 'bag7', seed = Date.now()) {
+  const factory = RANDOMIZERS[strategy];
+  if (!factory) {
+    throw new Error(`Unknown randomizer: ${strategy}`);
+  }
+  return factory(new SeededRandom(seed));
+}
+
+function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+export {
+  PIECE_TYPES,
+  RANDOMIZERS,
+  SeededRandom,
+  PureRandomizer,
+  BagRandomizer,
+  ClassicRandomizer,
+  HistoryRandomizer,
+  SequenceRandomizer,
+  createRandomizer,
+  generateSeed
+};
@@ -0,0 +1,96 @@
+// Render worker messages: game state packed into small, structured-clone-friendly objects
+import { Tetromino } from './game-engine.js';
+
+// Messages the main thread posts to the render worker
+const RENDER_MESSAGES = ['init', 'layout', 'theme', 'frame', 'panel', 'lineClear', 'pieceDrop'];
+
+// Fields renderUI's mode line reads, passed through as they are
+const MODE_FIELDS = ['mode', 'puzzle', 'piecesRemaining', 'elapsedTime', 'linesRemaining', 'garbageRemaining', 'timeRemaining'];
+
+// Grid rows as strings, one character per cell ('.' is empty)
+function encodeGrid(grid) {
+  return grid.map(row => row.map(cell => (cell === 0 ? '.' : cell)).join(''));
+}
+
+function decodeGrid(rows) {
+  return rows.map(row => [...row].map(cell => (cell === '.' ? 0 : cell)));
+}
+
+// Pieces travel as [type, x, y, rotation]; the worker looks the shape back up
+function encodePiece(piece) {
+  return piece ? [piece.type, piece.x, piece.y, piece.rotation] : null;
+}
+
+function decodePiece(encoded) {
+  if (!encoded) return null;
+
+  const [type, x, y, rotation] = encoded;
+  const piece = new Tetromino(type);
+  piece.rotation = rotation;
+  return { type, x, y, rotation, shape: piece.getShape() };
+}
+
+// Preview and hold pieces only need their type and spawn shape
+function decodePieceType(type) {
+  if (!type) return null;
+  return { type, shape: new Tetromino(type).getShape() };
+}
+
+// What Renderer.render draws: the board, the falling piece and the overlays
+function encodeFrame(gameState) {
+  const { width, height, hiddenRows } = gameState.board;
+  return {
+    type: 'frame',
+    grid: encodeGrid(gameState.grid),
+    piece: encodePiece(gameState.currentPiece),
+    board: [width, height, hiddenRows],
+    garbage: gameState.pendingGarbage || 0,
+    paused: gameState.gameState === 'paused'
+  };
+}
+
+function decodeFrame(message) {
+  const [width, height, hiddenRows] = message.board;
+  return {
+    grid: decodeGrid(message.grid),
+    currentPiece: decodePiece(message.piece),
+    board: { width, height, hiddenRows },
+    pendingGarbage: message.garbage,
+    gameState: message.paused ? 'paused' : 'playing'
+  };
+}
+
+// What Renderer.renderUI draws
+function encodePanel(gameState) {
+  const panel = {
+    type: 'panel',
+    score: gameState.score,
+    level: gameState.level,
+    lines: gameState.lines,
+    lastClear: gameState.lastClear,
+    combo: gameState.combo,
+    next: gameState.nextPieces.map(piece => piece.type).join(''),
+    hold: gameState.holdPiece?.type || null,
+    canHold: gameState.canHold,
+    finesse: gameState.finesse || null,
+    controls: gameState.controls || null
+  };
+  MODE_FIELDS.forEach(field => {
+    panel[field] = gameState[field] ?? null;
+  });
+  return panel;
+}
+
+function decodePanel(message) {
+  const { next, hold, ...values } = message;
+  return {
+    ...values,
+    nextPieces: [...next].map(decodePieceType),
+    holdPiece: decodePieceType(hold)
+  };
+}
+
+export {
+  RENDER_MESSAGES, encodeGrid, decodeGrid, encodePiece, decodePiece,
+  encodeFrame, decodeFrame, encodePanel, decodePanel
+};
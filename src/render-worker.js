@@ -0,0 +1,54 @@
+// Render worker: owns the transferred canvases and draws whatever the main thread posts
+import { Renderer } from './renderer.js';
+import { RENDER_MESSAGES, decodeFrame, decodePanel, decodePiece } from './render-protocol.js';
+
+class RenderWorker {
+  constructor(postMessage = (message) => self.postMessage(message)) {
+    this.postMessage = postMessage; // Replies to the main thread: each frame's drawing time
+    this.renderer = null;
+    this.panelCanvas = null;
+  }
+
+  handleMessage(message) {
+    if (!RENDER_MESSAGES.includes(message.type)) {
+      throw new Error(`Unknown render message: ${message.type}`);
+    }
+    if (message.type !== 'init' && !this.renderer) return;
+
+    switch (message.type) {
+      case 'init':
+        this.renderer = new Renderer(message.canvas);
+        this.renderer.onRenderTime = (time) => this.postMessage({ type: 'renderTime', time });
+        this.panelCanvas = message.panel;
+        this.setTheme(message);
+        break;
+      case 'layout':
+        this.renderer.layout(message.bounds, this.panelCanvas, message.pixelRatio);
+        break;
+      case 'theme':
+        this.setTheme(message);
+        break;
+      case 'frame':
+        this.renderer.render(decodeFrame(message));
+        break;
+      case 'panel':
+        this.renderer.renderUI(decodePanel(message), this.panelCanvas);
+        break;
+      case 'lineClear':
+        this.renderer.animateLineClear(message.rows);
+        break;
+      case 'pieceDrop':
+        this.renderer.animatePieceDrop(decodePiece(message.piece));
+        break;
+    }
+  }
+
+  // Custom themes only exist on the main thread until their definition arrives with the message
+  setTheme({ theme, definition }) {
+    if (definition) this.renderer.themes.register(definition);
+    this.renderer.setTheme(theme);
+  }
+}
+
+const worker = new RenderWorker();
+self.onmessage = ({ data }) => worker.handleMessage(data);
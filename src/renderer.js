@@ -1,146 +1,353 @@
-// High-performance Canvas renderer with Win95 theme
+// High-performance Canvas renderer drawing the themes in the theme registry
+import { GAME_MODES, formatTime } from './modes.js';
+import { ThemeRegistry } from './themes.js';
+import { KeyBindings } from './keybindings.js';
+
+// Block size the panel layout was drawn for; the panel scales with the board from here
+const DEFAULT_BLOCK_SIZE = 30;
+const MIN_BLOCK_SIZE = 8;
+const MAX_BLOCK_SIZE = 40;
+
+// Panel canvas drawing coordinates, before scaling
+const PANEL_WIDTH = 200;
+const PANEL_HEIGHT = 600;
+
+// Controls panel lines for the default key bindings
+const DEFAULT_CONTROLS = new KeyBindings().getSummary();
+
+// Preview pieces in the panel's Next box: block size, the room for each piece and the room for all of them
+const MINI_BLOCK_SIZE = 12;
+const NEXT_SLOT_HEIGHT = 60;
+const NEXT_BOX_HEIGHT = 180;
+
+// The gap between the two canvases plus their inset borders
+const CANVAS_CHROME = 18;
+
+// Dash patterns for the grid line styles, in block sizes
+const GRID_DASHES = {
+  solid: [],
+  dashed: [0.25, 0.25],
+  dotted: [0.05, 0.15]
+};
+
+// Space the game area gives the board and panel, in CSS pixels
+function getLayoutBounds(canvas) {
+  const container = canvas.parentElement;
+  return {
+    width: (container?.clientWidth || window.innerWidth) - CANVAS_CHROME,
+    height: window.innerHeight * 0.9
+  };
+}
+
+// Fits the board and the UI panel side by side into `bounds`, returning the block size and both canvases'
+// CSS sizes. Blocks are a whole number of device pixels, so the Win95 bevels never land between pixels
+function getLayoutSizes(bounds, board, withPanel, pixelRatio) {
+  const panelBlocks = withPanel ? PANEL_WIDTH / DEFAULT_BLOCK_SIZE : 0;
+  const fit = Math.min(bounds.width / (board.width + panelBlocks), bounds.height / board.height);
+  const size = Math.max(MIN_BLOCK_SIZE, Math.min(MAX_BLOCK_SIZE, fit));
+  const blockSize = Math.max(1, Math.floor(size * pixelRatio)) / pixelRatio;
+
+  // renderUI keeps drawing at 200x600; the panel's transform scales it with the blocks
+  const panelScale = blockSize / DEFAULT_BLOCK_SIZE;
+  return {
+    blockSize,
+    panelScale,
+    board: { width: board.width * blockSize, height: board.height * blockSize },
+    panel: { width: PANEL_WIDTH * panelScale, height: PANEL_HEIGHT * panelScale }
+  };
+}
+
+// Everything renderUI draws, as a string to compare between frames
+function getPanelKey(gameState) {
+  return JSON.stringify([
+    gameState.score, gameState.level, gameState.lines, gameState.lastClear, gameState.combo,
+    gameState.nextPieces.map(piece => piece.type),
+    gameState.holdPiece?.type, gameState.canHold, gameState.finesse, getModeInfo(gameState), getControls(gameState)
+  ]);
+}
+
+// Callers without bindings of their own (e.g. the UI agent) show the default keys
+function getControls(gameState) {
+  return gameState.controls || DEFAULT_CONTROLS;
+}
+
+function getModeInfo(gameState) {
+  if (gameState.puzzle) {
+    const { name, goal } = gameState.puzzle;
+    return `${name}: ${goal} (${gameState.piecesRemaining} left)`;
+  }
+
+  const mode = GAME_MODES[gameState.mode];
+  if (!mode) return null;
+
+  // Show whichever objective the mode tracks, falling back to the clock
+  let objective = formatTime(gameState.elapsedTime);
+  if (gameState.linesRemaining !== null) {
+    objective = `${gameState.linesRemaining} left  ${objective}`;
+  } else if (gameState.garbageRemaining !== null) {
+    objective = `${gameState.garbageRemaining} rows  ${objective}`;
+  } else if (gameState.timeRemaining !== null) {
+    objective = formatTime(gameState.timeRemaining);
+  }
+  return `${mode.name}: ${objective}`;
+}
+
 class Renderer {
   constructor(canvas, theme = 'win95') {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.theme = theme;
-    this.blockSize = 30;
+    this.blockSize = DEFAULT_BLOCK_SIZE;
+    this.pixelRatio = 1;
+    this.bounds = null; // Space to fit the board into, once layout() has been called
+    this.panelCanvas = null;
+    this.layers = null; // Offscreen grid-line and stack layers, created on the first render
+    this.stackGrid = null; // The grid the stack layer was last painted from
+    this.panelKey = null; // What the UI panel last showed, so unchanged frames skip repainting it
+    this.panelDrawn = null; // The canvas it was shown on
     this.gridWidth = 10;
-    this.gridHeight = 20;
+    this.gridHeight = 20; // Visible rows only
+    this.hiddenRows = 0; // Buffer rows at the top of the grid that are never drawn
     this.animationQueue = [];
+    this.onRenderTime = null; // Called after each frame with the time spent drawing it (ms)
+    this.panelTime = 0; // Panel repaint time not yet reported with a frame
+    this.sprites = new Map(); // Sprite sheets by URL: the decoded image, or null while it loads
 
     this.setupCanvas();
     this.loadThemes();
   }
 
+  // Drawing is in CSS pixels; the backing store has one pixel per device pixel so high-DPI screens stay sharp
   setupCanvas() {
-    this.canvas.width = this.gridWidth * this.blockSize;
-    this.canvas.height = this.gridHeight * this.blockSize;
-    this.ctx.imageSmoothingEnabled = false; // Pixel-perfect rendering
+    this.width = this.gridWidth * this.blockSize;
+    this.height = this.gridHeight * this.blockSize;
+    this.sizeCanvas(this.canvas, this.width, this.height, this.pixelRatio);
+    this.layers = null;
+  }
+
+  sizeCanvas(canvas, width, height, scale) {
+    canvas.width = Math.round(width * this.pixelRatio);
+    canvas.height = Math.round(height * this.pixelRatio);
+    if (canvas.style) {
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    }
+
+    // Resizing resets the context, so the transform and smoothing are set again every time
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.imageSmoothingEnabled = false; // Pixel-perfect rendering
+  }
+
+  // Sizes both canvases to fit `bounds` (CSS pixels) at the screen's pixel ratio
+  layout(bounds, panelCanvas = this.panelCanvas, pixelRatio = window.devicePixelRatio || 1) {
+    this.bounds = bounds;
+    this.panelCanvas = panelCanvas;
+    this.pixelRatio = pixelRatio;
+
+    const sizes = getLayoutSizes(bounds, { width: this.gridWidth, height: this.gridHeight }, !!panelCanvas, pixelRatio);
+    this.blockSize = sizes.blockSize;
+    this.setupCanvas();
+    if (panelCanvas) {
+      this.sizeCanvas(panelCanvas, sizes.panel.width, sizes.panel.height, sizes.panelScale * pixelRatio);
+      this.panelKey = null;
+    }
   }
 
   loadThemes() {
-    this.themes = {
-      win95: {
-        background: '#c0c0c0',
-        gridBorder: '#808080',
-        gridBackground: '#000000',
-        blockColors: {
-          'I': '#00ffff',
-          'O': '#ffff00',
-          'T': '#800080',
-          'S': '#00ff00',
-          'Z': '#ff0000',
-          'J': '#0000ff',
-          'L': '#ffa500'
-        },
-        blockBorder: '#ffffff',
-        blockShadow: '#404040',
-        text: '#000000',
-        panel: '#c0c0c0',
-        panelBorder: '#808080'
-      },
-      dark: {
-        background: '#2d2d30',
-        gridBorder: '#3e3e42',
-        gridBackground: '#1e1e1e',
-        blockColors: {
-          'I': '#00d4ff',
-          'O': '#ffd700',
-          'T': '#9d4edd',
-          'S': '#06ffa5',
-          'Z': '#ff006e',
-          'J': '#3a86ff',
-          'L': '#ff8500'
-        },
-        blockBorder: '#ffffff',
-        blockShadow: '#000000',
-        text: '#ffffff',
-        panel: '#2d2d30',
-        panelBorder: '#3e3e42'
-      }
-    };
+    this.themes = new ThemeRegistry();
   }
 
+  getTheme() {
+    return this.themes.get(this.theme);
+  }
+
+  // Any theme in the registry; unknown ids throw before anything changes
   setTheme(theme) {
+    const { blocks } = this.themes.get(theme);
     this.theme = theme;
+    this.layers = null;
+    this.panelKey = null;
+    if (blocks.style === 'sprite') this.loadSprite(blocks.sprite.src);
     this.render(); // Re-render with new theme
   }
 
+  // Sprite blocks draw flat until their sheet has loaded, then the layers and panel are repainted with it
+  loadSprite(src) {
+    if (this.sprites.has(src) || typeof fetch === 'undefined' || typeof createImageBitmap === 'undefined') return;
+
+    this.sprites.set(src, null);
+    fetch(src)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load sprite sheet: ${src}`);
+        return response.blob();
+      })
+      .then(blob => createImageBitmap(blob))
+      .then(image => {
+        this.sprites.set(src, image);
+        this.layers = null;
+        this.panelKey = null;
+      })
+      .catch(error => console.warn('Drawing flat blocks instead of sprites:', error));
+  }
+
+  // Resizes the canvas when the engine's board layout changes
+  setBoard({ width, height, hiddenRows = 0 }) {
+    if (width === this.gridWidth && height === this.gridHeight && hiddenRows === this.hiddenRows) return;
+
+    this.gridWidth = width;
+    this.gridHeight = height;
+    this.hiddenRows = hiddenRows;
+    if (this.bounds) {
+      this.layout(this.bounds, this.panelCanvas, this.pixelRatio);
+    } else {
+      this.setupCanvas();
+    }
+  }
+
   render(gameState) {
-    this.clearCanvas();
+    if (gameState?.board) {
+      this.setBoard(gameState.board);
+    }
 
-    if (!gameState) return;
+    if (!gameState) {
+      this.clearCanvas();
+      return;
+    }
 
-    this.renderGrid(gameState.grid);
+    // The stack and grid lines come from their layers; only the piece, ghost and effects are drawn every frame
+    const startTime = performance.now();
+    this.updateLayers(gameState.grid);
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Layers are already in device pixels
+    this.ctx.drawImage(this.layers.stack.canvas, 0, 0);
+    this.ctx.drawImage(this.layers.grid.canvas, 0, 0);
+    this.ctx.restore();
 
     if (gameState.currentPiece) {
       this.renderPiece(gameState.currentPiece);
       this.renderGhost(gameState.currentPiece, gameState.grid);
     }
 
+    this.renderGarbageMeter(gameState.pendingGarbage);
+
     if (gameState.gameState === 'paused') {
       this.renderPausedOverlay();
     }
 
     this.processAnimations();
+    this.reportRenderTime(performance.now() - startTime);
+  }
+
+  // Timed here rather than by the caller, which for a worker renderer would only time posting the frame
+  reportRenderTime(frameTime) {
+    const renderTime = frameTime + this.panelTime;
+    this.panelTime = 0;
+    if (this.onRenderTime) this.onRenderTime(renderTime);
+  }
+
+  // Red bar along the left edge showing incoming garbage rows
+  renderGarbageMeter(pendingGarbage) {
+    if (!pendingGarbage) return;
+
+    const height = Math.min(pendingGarbage, this.gridHeight) * this.blockSize;
+    this.ctx.fillStyle = '#ff0000';
+    this.ctx.fillRect(0, this.height - height, 4, height);
   }
 
   renderPausedOverlay() {
     this.ctx.save();
     this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillRect(0, 0, this.width, this.height);
 
     this.ctx.fillStyle = '#ffffff';
-    this.ctx.font = 'bold 30px "MS Sans Serif", sans-serif';
+    this.ctx.font = `bold 30px ${this.getTheme().fonts.family}`;
     this.ctx.textAlign = 'center';
     this.ctx.textBaseline = 'middle';
 
     // Win95 shadow
     this.ctx.fillStyle = '#808080';
-    this.ctx.fillText('PAUSED', this.canvas.width / 2 + 2, this.canvas.height / 2 + 2);
+    this.ctx.fillText('PAUSED', this.width / 2 + 2, this.height / 2 + 2);
 
     this.ctx.fillStyle = '#ffffff';
-    this.ctx.fillText('PAUSED', this.canvas.width / 2, this.canvas.height / 2);
+    this.ctx.fillText('PAUSED', this.width / 2, this.height / 2);
     this.ctx.restore();
   }
 
   clearCanvas() {
-    const colors = this.themes[this.theme];
+    const colors = this.getTheme().palette;
     this.ctx.fillStyle = colors.gridBackground;
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillRect(0, 0, this.width, this.height);
+  }
+
+  // Offscreen canvas the size of the board, drawn in the same CSS-pixel units
+  createLayer() {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    return { canvas, ctx };
   }
 
-  renderGrid(grid) {
-    const colors = this.themes[this.theme];
+  // Grid lines only change with the size or theme; the stack only when a lock, clear, garbage or undo changes the grid
+  updateLayers(grid) {
+    if (!this.layers) {
+      this.layers = { stack: this.createLayer(), grid: this.createLayer() };
+      this.renderGridLines(this.layers.grid.ctx);
+      this.stackGrid = null;
+    }
+
+    if (!this.isSameGrid(grid, this.stackGrid)) {
+      this.renderStack(this.layers.stack.ctx, grid);
+      this.stackGrid = grid.map(row => [...row]);
+    }
+  }
+
+  isSameGrid(grid, previous) {
+    return previous !== null && grid.length === previous.length &&
+      grid.every((row, y) => row.length === previous[y].length && row.every((cell, x) => cell === previous[y][x]));
+  }
+
+  renderStack(ctx, grid) {
+    ctx.fillStyle = this.getTheme().palette.gridBackground;
+    ctx.fillRect(0, 0, this.width, this.height);
 
-    // Render placed blocks
     for (let y = 0; y < grid.length; y++) {
       for (let x = 0; x < grid[y].length; x++) {
         if (grid[y][x] !== 0) {
-          this.renderBlock(x, y, grid[y][x]);
+          this.renderBlock(x, y, grid[y][x], ctx);
         }
       }
     }
+  }
 
-    // Render grid lines
-    this.ctx.strokeStyle = colors.gridBorder;
-    this.ctx.lineWidth = 1;
+  renderGridLines(ctx) {
+    const { palette, grid } = this.getTheme();
+    if (grid.style === 'none') return;
+
+    ctx.strokeStyle = palette.gridBorder;
+    ctx.lineWidth = grid.width;
+    ctx.setLineDash(GRID_DASHES[grid.style].map(length => length * this.blockSize));
 
     // Vertical lines
     for (let x = 0; x <= this.gridWidth; x++) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(x * this.blockSize, 0);
-      this.ctx.lineTo(x * this.blockSize, this.canvas.height);
-      this.ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(x * this.blockSize, 0);
+      ctx.lineTo(x * this.blockSize, this.height);
+      ctx.stroke();
     }
 
     // Horizontal lines
     for (let y = 0; y <= this.gridHeight; y++) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(0, y * this.blockSize);
-      this.ctx.lineTo(this.canvas.width, y * this.blockSize);
-      this.ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(0, y * this.blockSize);
+      ctx.lineTo(this.width, y * this.blockSize);
+      ctx.stroke();
     }
   }
 
@@ -168,7 +375,6 @@ class Renderer {
     if (ghostY === piece.y) return; // No ghost needed
 
     const shape = piece.shape;
-    const colors = this.themes[this.theme];
 
     this.ctx.save();
     this.ctx.globalAlpha = 0.3;
@@ -184,43 +390,65 @@ class Renderer {
     this.ctx.restore();
   }
 
-  renderBlock(x, y, type) {
-    if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return;
+  // x and y are grid coordinates; blocks in the hidden rows are skipped
+  renderBlock(x, y, type, ctx = this.ctx) {
+    const screenY = y - this.hiddenRows;
+    if (x < 0 || x >= this.gridWidth || screenY < 0 || screenY >= this.gridHeight) return;
 
-    const colors = this.themes[this.theme];
-    const blockColor = colors.blockColors[type] || colors.blockColors['I'];
+    this.drawBlock(ctx, x * this.blockSize, screenY * this.blockSize, this.blockSize, type);
+  }
 
-    const pixelX = x * this.blockSize;
-    const pixelY = y * this.blockSize;
+  // One cell in the theme's block style, at pixel coordinates
+  drawBlock(ctx, pixelX, pixelY, size, type) {
+    const { palette, blocks } = this.getTheme();
+    const blockColor = palette.blockColors[type] || palette.blockColors['I'];
+
+    if (blocks.style === 'sprite') {
+      const sheet = this.sprites.get(blocks.sprite.src);
+      const index = blocks.sprite.order.indexOf(type);
+      if (sheet && index !== -1) {
+        const cell = blocks.sprite.size;
+        ctx.drawImage(sheet, index * cell, 0, cell, cell, pixelX, pixelY, size, size);
+        return;
+      }
+    }
 
     // Main block
-    this.ctx.fillStyle = blockColor;
-    this.ctx.fillRect(pixelX, pixelY, this.blockSize, this.blockSize);
+    ctx.fillStyle = blockColor;
+    ctx.fillRect(pixelX, pixelY, size, size);
 
-    // Win95-style 3D border
-    if (this.theme === 'win95') {
+    if (blocks.style === 'bevel') {
       // Highlight (top-left)
-      this.ctx.strokeStyle = colors.blockBorder;
-      this.ctx.lineWidth = 2;
-      this.ctx.beginPath();
-      this.ctx.moveTo(pixelX, pixelY + this.blockSize);
-      this.ctx.lineTo(pixelX, pixelY);
-      this.ctx.lineTo(pixelX + this.blockSize, pixelY);
-      this.ctx.stroke();
+      ctx.strokeStyle = palette.blockBorder;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(pixelX, pixelY + size);
+      ctx.lineTo(pixelX, pixelY);
+      ctx.lineTo(pixelX + size, pixelY);
+      ctx.stroke();
 
       // Shadow (bottom-right)
-      this.ctx.strokeStyle = colors.blockShadow;
-      this.ctx.beginPath();
-      this.ctx.moveTo(pixelX + this.blockSize, pixelY);
-      this.ctx.lineTo(pixelX + this.blockSize, pixelY + this.blockSize);
-      this.ctx.lineTo(pixelX, pixelY + this.blockSize);
-      this.ctx.stroke();
-    } else {
-      // Simple border for dark theme
-      this.ctx.strokeStyle = colors.blockBorder;
-      this.ctx.lineWidth = 1;
-      this.ctx.strokeRect(pixelX, pixelY, this.blockSize, this.blockSize);
+      ctx.strokeStyle = palette.blockShadow;
+      ctx.beginPath();
+      ctx.moveTo(pixelX + size, pixelY);
+      ctx.lineTo(pixelX + size, pixelY + size);
+      ctx.lineTo(pixelX, pixelY + size);
+      ctx.stroke();
+      return;
     }
+
+    if (blocks.style === 'glossy') {
+      // Shine across the top half
+      ctx.save();
+      ctx.globalAlpha *= 0.35;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(pixelX, pixelY, size, size / 2);
+      ctx.restore();
+    }
+
+    ctx.strokeStyle = blocks.style === 'glossy' ? palette.blockShadow : palette.blockBorder;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(pixelX, pixelY, size, size);
   }
 
   wouldCollide(piece, x, y, grid) {
@@ -233,7 +461,7 @@ class Renderer {
         const newX = x + col;
         const newY = y + row;
 
-        if (newX < 0 || newX >= this.gridWidth || newY >= this.gridHeight) return true;
+        if (newX < 0 || newX >= grid[0].length || newY >= grid.length) return true;
         if (newY < 0) continue;
         if (grid[newY][newX] !== 0) return true;
       }
@@ -284,7 +512,7 @@ class Renderer {
     this.ctx.save();
     this.ctx.globalAlpha = alpha;
     this.ctx.fillStyle = '#ffffff';
-    this.ctx.fillRect(0, anim.y * this.blockSize, this.canvas.width, this.blockSize);
+    this.ctx.fillRect(0, (anim.y - this.hiddenRows) * this.blockSize, this.width, this.blockSize);
     this.ctx.restore();
   }
 
@@ -300,95 +528,138 @@ class Renderer {
     this.ctx.restore();
   }
 
-  // UI Panel rendering
+  // UI Panel rendering; skipped when nothing it shows has changed. Returns whether it repainted
   renderUI(gameState, panelCanvas) {
+    const key = getPanelKey(gameState);
+    if (key === this.panelKey && panelCanvas === this.panelDrawn) return false;
+    this.panelKey = key;
+    this.panelDrawn = panelCanvas;
+    const startTime = performance.now();
+
     const ctx = panelCanvas.getContext('2d');
-    const colors = this.themes[this.theme];
+    const colors = this.getTheme().palette;
 
     ctx.fillStyle = colors.panel;
-    ctx.fillRect(0, 0, panelCanvas.width, panelCanvas.height);
+    ctx.fillRect(0, 0, PANEL_WIDTH, PANEL_HEIGHT);
 
     // Score panel
     this.renderPanel(ctx, 10, 10, 180, 120, 'Score');
     this.renderText(ctx, `Score: ${gameState.score}`, 20, 40);
     this.renderText(ctx, `Level: ${gameState.level}`, 20, 60);
     this.renderText(ctx, `Lines: ${gameState.lines}`, 20, 80);
+    this.renderFinesse(ctx, gameState.finesse, 110, 80);
+    this.renderClearInfo(ctx, gameState, 20, 100);
 
     // Next pieces panel
     this.renderPanel(ctx, 10, 140, 180, 200, 'Next');
     this.renderNextPieces(ctx, gameState.nextPieces, 20, 170);
 
-    // Controls panel
-    this.renderPanel(ctx, 10, 350, 180, 100, 'Controls');
-    this.renderText(ctx, '← → ↓ Move', 20, 380, '10px');
-    this.renderText(ctx, '↑ Rotate', 20, 395, '10px');
-    this.renderText(ctx, 'Space Drop', 20, 410, '10px');
+    // Hold panel
+    this.renderPanel(ctx, 10, 350, 180, 80, 'Hold');
+    this.renderHoldPiece(ctx, gameState.holdPiece, gameState.canHold, 20, 380);
+
+    // Controls panel, from the player's key bindings (gameState.controls)
+    this.renderPanel(ctx, 10, 440, 180, 130, 'Controls');
+    getControls(gameState).forEach((line, index) => this.renderText(ctx, line, 20, 470 + index * 15, '10px'));
+
+    const modeInfo = getModeInfo(gameState);
+    if (modeInfo) this.renderText(ctx, modeInfo, 20, 588, 'bold 11px');
+    this.panelTime += performance.now() - startTime;
+    return true;
+  }
+
+  // Running finesse faults, with the last piece's extra presses while they're fresh
+  renderFinesse(ctx, finesse, x, y) {
+    if (!finesse) return;
+
+    const text = `Finesse: ${finesse.faults}`;
+    this.renderText(ctx, text, x, y, '10px');
+    if (finesse.lastFaults > 0) {
+      this.renderText(ctx, `+${finesse.lastFaults}`, x + ctx.measureText(text).width + 4, y, 'bold 10px');
+    }
+  }
+
+  renderClearInfo(ctx, gameState, x, y) {
+    const lastClear = gameState.lastClear;
+    if (lastClear) {
+      const prefix = lastClear.backToBack ? 'B2B ' : '';
+      const suffix = lastClear.perfectClear ? ' PC!' : '';
+      this.renderText(ctx, `${prefix}${lastClear.name}${suffix}`, x, y, 'bold 12px');
+    }
+
+    if (gameState.combo > 0) {
+      this.renderText(ctx, `Combo x${gameState.combo}`, x, y + 18, '10px');
+    }
+  }
+
+  renderHoldPiece(ctx, holdPiece, canHold, x, y) {
+    if (!holdPiece) return;
+
+    // Grey out the held piece while hold is locked for this drop
+    ctx.save();
+    ctx.globalAlpha = canHold === false ? 0.4 : 1;
+    this.renderMiniPiece(ctx, holdPiece, x, y);
+    ctx.restore();
   }
 
   renderPanel(ctx, x, y, width, height, title) {
-    const colors = this.themes[this.theme];
+    const { palette, fonts, chrome } = this.getTheme();
 
     // Panel background
-    ctx.fillStyle = colors.panel;
+    ctx.fillStyle = palette.panel;
     ctx.fillRect(x, y, width, height);
 
     // Win95-style border
-    if (this.theme === 'win95') {
-      ctx.strokeStyle = colors.panelBorder;
+    if (chrome.style === 'win95') {
+      ctx.strokeStyle = palette.panelBorder;
       ctx.lineWidth = 2;
       ctx.strokeRect(x, y, width, height);
 
       // Title bar
-      ctx.fillStyle = '#0000ff';
+      ctx.fillStyle = chrome.titleBar;
       ctx.fillRect(x + 2, y + 2, width - 4, 18);
 
-      ctx.fillStyle = '#ffffff';
-      ctx.font = '11px "MS Sans Serif"';
+      ctx.fillStyle = chrome.titleText;
+      ctx.font = `11px ${fonts.family}`;
       ctx.fillText(title, x + 6, y + 14);
     } else {
-      ctx.strokeStyle = colors.panelBorder;
+      ctx.strokeStyle = palette.panelBorder;
+      ctx.lineWidth = 1;
       ctx.strokeRect(x, y, width, height);
 
-      ctx.fillStyle = colors.text;
-      ctx.font = '12px monospace';
+      ctx.fillStyle = chrome.titleText;
+      ctx.font = `12px ${fonts.family}`;
       ctx.fillText(title, x + 6, y + 16);
     }
   }
 
   renderText(ctx, text, x, y, size = '12px') {
-    const colors = this.themes[this.theme];
-    ctx.fillStyle = colors.text;
-    ctx.font = `${size} ${this.theme === 'win95' ? '"MS Sans Serif"' : 'monospace'}`;
+    const { palette, fonts } = this.getTheme();
+    ctx.fillStyle = palette.text;
+    ctx.font = `${size} ${fonts.family}`;
     ctx.fillText(text, x, y);
   }
 
+  // Three previews fit at full size; longer queues (rules.previewCount) shrink to fit the Next box
   renderNextPieces(ctx, nextPieces, x, y) {
-    nextPieces.slice(0, 3).forEach((piece, index) => {
-      const offsetY = y + index * 60;
-      this.renderMiniPiece(ctx, piece, x, offsetY);
+    const slotHeight = Math.min(NEXT_SLOT_HEIGHT, NEXT_BOX_HEIGHT / Math.max(1, nextPieces.length));
+    const miniBlockSize = Math.min(MINI_BLOCK_SIZE, Math.floor(slotHeight / 4));
+
+    nextPieces.forEach((piece, index) => {
+      this.renderMiniPiece(ctx, piece, x, y + index * slotHeight, miniBlockSize);
     });
   }
 
-  renderMiniPiece(ctx, piece, x, y) {
-    const miniBlockSize = 12;
-    const colors = this.themes[this.theme];
-    const blockColor = colors.blockColors[piece.type];
+  renderMiniPiece(ctx, piece, x, y, miniBlockSize = MINI_BLOCK_SIZE) {
 
     piece.shape.forEach((row, rowIndex) => {
       row.forEach((cell, colIndex) => {
         if (cell !== 0) {
-          const blockX = x + colIndex * miniBlockSize;
-          const blockY = y + rowIndex * miniBlockSize;
-
-          ctx.fillStyle = blockColor;
-          ctx.fillRect(blockX, blockY, miniBlockSize, miniBlockSize);
-
-          ctx.strokeStyle = colors.blockBorder;
-          ctx.strokeRect(blockX, blockY, miniBlockSize, miniBlockSize);
+          this.drawBlock(ctx, x + colIndex * miniBlockSize, y + rowIndex * miniBlockSize, miniBlockSize, piece.type);
         }
       });
     });
   }
 }
 
-export { Renderer };
\ No newline at end of file
+export { Renderer, getLayoutBounds, getLayoutSizes, getPanelKey };
\ No newline at end of file
@@ -4,6 +4,9 @@ class ReplaySystem {
     this.inputs = [];
     this.states = [];
     this.annotations = [];
+    this.finesse = []; // Per-placement finesse results
+    this.gameInfo = {};
+    this.lastAnnotatedClearId = null;
     this.startTime = null;
     this.isRecording = false;
     this.isPlaying = false;
@@ -11,12 +14,19 @@ class ReplaySystem {
     this.playbackSpeed = 1.0;
   }
 
-  startRecording() {
+  startRecording(gameInfo = {}) {
     this.reset();
+    // Seed and randomizer are enough to regenerate the exact piece sequence
+    this.gameInfo = { ...gameInfo };
     this.isRecording = true;
     this.startTime = Date.now();
   }
 
+  // Merges extra metadata into the recording, e.g. { usedUndo: true }
+  updateGameInfo(info) {
+    this.gameInfo = { ...this.gameInfo, ...info };
+  }
+
   stopRecording() {
     this.isRecording = false;
   }
@@ -25,27 +35,38 @@ class ReplaySystem {
     this.inputs = [];
     this.states = [];
     this.annotations = [];
+    this.finesse = [];
+    this.gameInfo = {};
+    this.lastAnnotatedClearId = null;
     this.startTime = null;
     this.isRecording = false;
     this.isPlaying = false;
     this.playbackIndex = 0;
   }
 
-  recordInput(action, timestamp) {
+  // Inputs are keyed by engine tick so GameEngine.simulate can reproduce the game
+  recordInput(action, tick) {
     if (!this.isRecording) return;
     
-    const relativeTime = timestamp - this.startTime;
     this.inputs.push({
       action,
-      timestamp: relativeTime,
+      tick,
       frameIndex: this.states.length
     });
   }
 
-  recordState(gameState, timestamp) {
+  // One entry per judged placement, from FinesseTracker.recordLock
+  recordFinesse(result, tick) {
     if (!this.isRecording) return;
     
-    const relativeTime = timestamp - this.startTime;
+    this.finesse.push({ ...result, tick });
+  }
+
+  recordState(gameState) {
+    if (!this.isRecording) return;
+    
+    // Game time rather than wall-clock time, so playback matches the simulation
+    const relativeTime = gameState.elapsedTime;
     
     // Compress state to reduce memory usage
     const compressedState = this.compressState(gameState);
@@ -70,10 +91,15 @@ class ReplaySystem {
         y: gameState.currentPiece.y,
         rotation: gameState.currentPiece.rotation
       } : null,
+      holdPiece: gameState.holdPiece ? gameState.holdPiece.type : null,
+      lastClear: gameState.lastClear || null,
+      combo: gameState.combo,
+      backToBack: gameState.backToBack,
       score: gameState.score,
       level: gameState.level,
       lines: gameState.lines,
-      gameState: gameState.gameState
+      gameState: gameState.gameState,
+      board: gameState.board
     };
   }
 
@@ -126,19 +152,16 @@ class ReplaySystem {
     // Analyze current state for interesting events
     const annotations = [];
     
-    // Check for line clears
-    const fullLines = this.findFullLines(gameState.grid);
-    if (fullLines.length > 0) {
-      annotations.push({
-        type: 'lineClear',
-        lines: fullLines.length,
-        message: `${fullLines.length} line${fullLines.length > 1 ? 's' : ''} cleared!`,
-        importance: fullLines.length >= 4 ? 'high' : 'medium'
-      });
+    // Check for clears, spins, combos and perfect clears
+    // (each clear carries an id so it is only annotated once)
+    const lastClear = gameState.lastClear;
+    if (lastClear && lastClear.id !== this.lastAnnotatedClearId) {
+      this.lastAnnotatedClearId = lastClear.id;
+      annotations.push(...this.getClearAnnotations(lastClear));
     }
     
     // Check for dangerous situations
-    const dangerLevel = this.calculateDangerLevel(gameState.grid);
+    const dangerLevel = this.calculateDangerLevel(gameState.grid, gameState.board?.hiddenRows);
     if (dangerLevel > 0.8) {
       annotations.push({
         type: 'danger',
@@ -168,6 +191,54 @@ class ReplaySystem {
     }
   }
 
+  getClearAnnotations(lastClear) {
+    const annotations = [];
+    
+    if (lastClear.spin) {
+      annotations.push({
+        type: 'tSpin',
+        spin: lastClear.spin,
+        lines: lastClear.lines,
+        message: `${lastClear.name}!`,
+        importance: lastClear.spin === 'tspin' && lastClear.lines >= 2 ? 'high' : 'medium'
+      });
+    } else if (lastClear.lines > 0) {
+      annotations.push({
+        type: 'lineClear',
+        lines: lastClear.lines,
+        message: `${lastClear.lines} line${lastClear.lines > 1 ? 's' : ''} cleared!`,
+        importance: lastClear.lines >= 4 ? 'high' : 'medium'
+      });
+    }
+    
+    if (lastClear.backToBack) {
+      annotations.push({
+        type: 'backToBack',
+        message: `Back-to-Back ${lastClear.name}!`,
+        importance: 'high'
+      });
+    }
+    
+    if (lastClear.combo > 0) {
+      annotations.push({
+        type: 'combo',
+        combo: lastClear.combo,
+        message: `${lastClear.combo} Combo!`,
+        importance: lastClear.combo >= 4 ? 'high' : 'medium'
+      });
+    }
+    
+    if (lastClear.perfectClear) {
+      annotations.push({
+        type: 'perfectClear',
+        message: 'Perfect Clear!',
+        importance: 'high'
+      });
+    }
+    
+    return annotations;
+  }
+
   findFullLines(grid) {
     const fullLines = [];
     for (let y = 0; y < grid.length; y++) {
@@ -178,13 +249,13 @@ class ReplaySystem {
     return fullLines;
   }
 
-  calculateDangerLevel(grid) {
-    // Calculate how full the top portion of the grid is
+  calculateDangerLevel(grid, hiddenRows = 0) {
+    // Calculate how full the top of the visible playfield is
     const topRows = 4;
     let filledCells = 0;
     let totalCells = 0;
     
-    for (let y = 0; y < topRows; y++) {
+    for (let y = hiddenRows; y < hiddenRows + topRows; y++) {
       for (let x = 0; x < grid[y].length; x++) {
         if (grid[y][x] !== 0) filledCells++;
         totalCells++;
@@ -208,16 +279,16 @@ class ReplaySystem {
     
     let reason = 'Good placement';
     if (holes === 0) reason = 'No holes created';
-    if (height < 10) reason = 'Keeping height low';
+    if (height < grid.length / 2) reason = 'Keeping height low';
     
     return { score, reason };
   }
 
   countHoles(grid) {
     let holes = 0;
-    for (let x = 0; x < 10; x++) {
+    for (let x = 0; x < grid[0].length; x++) {
       let foundBlock = false;
-      for (let y = 0; y < 20; y++) {
+      for (let y = 0; y < grid.length; y++) {
         if (grid[y][x] !== 0) {
           foundBlock = true;
         } else if (foundBlock) {
@@ -229,9 +300,9 @@ class ReplaySystem {
   }
 
   getMaxHeight(grid) {
-    for (let y = 0; y < 20; y++) {
+    for (let y = 0; y < grid.length; y++) {
       if (grid[y].some(cell => cell !== 0)) {
-        return 20 - y;
+        return grid.length - y;
       }
     }
     return 0;
@@ -239,11 +310,11 @@ class ReplaySystem {
 
   getBumpiness(grid) {
     const heights = [];
-    for (let x = 0; x < 10; x++) {
+    for (let x = 0; x < grid[0].length; x++) {
       let height = 0;
-      for (let y = 0; y < 20; y++) {
+      for (let y = 0; y < grid.length; y++) {
         if (grid[y][x] !== 0) {
-          height = 20 - y;
+          height = grid.length - y;
           break;
         }
       }
@@ -376,9 +447,11 @@ class ReplaySystem {
       inputs: this.inputs,
       states: this.states,
       annotations: this.annotations,
+      finesse: this.finesse,
       metadata: {
         gameVersion: '1.0',
-        exportTime: Date.now()
+        exportTime: Date.now(),
+        ...this.gameInfo
       }
     };
   }
@@ -393,6 +466,10 @@ class ReplaySystem {
     this.inputs = replayData.inputs;
     this.states = replayData.states;
     this.annotations = replayData.annotations;
+    this.finesse = replayData.finesse || [];
+
+    const { gameVersion, exportTime, ...gameInfo } = replayData.metadata || {};
+    this.gameInfo = gameInfo;
   }
 
   getReplayData() {
@@ -427,8 +504,21 @@ class ReplaySystem {
       totalLines: finalState.lines,
       duration: duration,
       totalInputs: this.inputs.length,
+      holdCount: this.inputs.filter(input => input.action.type === 'hold').length,
       annotationCount: this.annotations.length,
-      averageAPM: (this.inputs.length / (duration / 1000)) * 60 // Actions per minute
+      averageAPM: (this.inputs.length / (duration / 1000)) * 60, // Actions per minute
+      finesse: this.summarizeFinesse()
+    };
+  }
+
+  summarizeFinesse() {
+    const faults = this.finesse.reduce((total, placement) => total + placement.faults, 0);
+    const perfect = this.finesse.filter(placement => placement.faults === 0).length;
+    
+    return {
+      pieces: this.finesse.length,
+      faults,
+      perfectRate: this.finesse.length > 0 ? perfect / this.finesse.length : null
     };
   }
 
@@ -0,0 +1,143 @@
+// Rules presets for timing, rotation and board layout (all delays in milliseconds)
+import { GRAVITY_CURVES, LEVEL_PROGRESSIONS } from './gravity.js';
+import { KICK_SYSTEMS } from './kick-tables.js';
+
+// The UI panel's Next box fits up to this many previews
+const MAX_PREVIEW_COUNT = 6;
+
+// Caps on custom boards so a rules override can't ask for an unbounded grid
+const MAX_BOARD_WIDTH = 40;
+const MAX_BOARD_HEIGHT = 40;
+const MAX_HIDDEN_ROWS = 40;
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Board layout shared by every preset unless overridden
+const BOARD_DEFAULTS = {
+  width: 10,
+  height: 20, // Visible rows
+  hiddenRows: 0, // Buffer rows above the visible playfield
+  spawnX: null, // Column of the piece's 4x4 box; null centres it on the board
+  spawnY: 0, // Row relative to the top of the visible playfield (negative spawns in the buffer)
+  previewCount: 3
+};
+
+const RULES_PRESETS = {
+  // Modern guideline: 0.5s lock delay, up to 15 move/rotate resets
+  guideline: {
+    lockDelay: 500,
+    lockReset: 'move',
+    maxLockResets: 15,
+    entryDelay: 100,
+    lineClearDelay: 300,
+    rotationSystem: 'srs',
+    gravityCurve: 'guideline',
+    levelProgression: 'fixed',
+    softDropFactor: 20 // Soft drop falls at this multiple of the level's gravity
+  },
+  // NES: no lock delay, long ARE and line clear pauses
+  classic: {
+    lockDelay: 0,
+    lockReset: 'step',
+    maxLockResets: 0,
+    entryDelay: 167,
+    lineClearDelay: 333,
+    rotationSystem: 'srs',
+    gravityCurve: 'nes',
+    levelProgression: 'nes',
+    softDropFactor: 24 // Half a row per frame from level 1
+  },
+  // TGM: lock delay only resets when the piece reaches a new row
+  tgm: {
+    lockDelay: 500,
+    lockReset: 'step',
+    maxLockResets: 0,
+    entryDelay: 500,
+    lineClearDelay: 683,
+    rotationSystem: 'srs',
+    gravityCurve: 'guideline', // '20g' for TGM's 20G mode
+    levelProgression: 'fixed',
+    softDropFactor: 20
+  },
+  // Practice-friendly: unlimited resets and no delays
+  infinity: {
+    lockDelay: 500,
+    lockReset: 'infinite',
+    maxLockResets: 0,
+    entryDelay: 0,
+    lineClearDelay: 0,
+    rotationSystem: 'srs',
+    gravityCurve: 'linear',
+    levelProgression: 'fixed',
+    softDropFactor: 20
+  }
+};
+
+const LOCK_RESET_MODES = ['infinite', 'step', 'move'];
+const DELAY_RULES = ['lockDelay', 'entryDelay', 'lineClearDelay'];
+
+// Accepts a preset name or an object with an optional `preset` plus overrides; null means guideline
+function resolveRules(rules) {
+  const { preset = 'guideline', ...overrides } = typeof rules === 'string' ? { preset: rules } : rules ?? {};
+  const base = RULES_PRESETS[preset];
+
+  if (!base) {
+    throw new Error(`Unknown rules preset: ${preset}`);
+  }
+
+  const resolved = { preset, ...BOARD_DEFAULTS, ...base, ...overrides };
+
+  DELAY_RULES.forEach(rule => {
+    if (!Number.isFinite(resolved[rule]) || resolved[rule] < 0) {
+      throw new Error(`Invalid ${rule}: ${resolved[rule]}`);
+    }
+  });
+  // Soft drop can't be slower than plain gravity
+  if (!Number.isFinite(resolved.softDropFactor) || resolved.softDropFactor < 1) {
+    throw new Error(`Invalid soft drop factor: ${resolved.softDropFactor}`);
+  }
+
+  if (!LOCK_RESET_MODES.includes(resolved.lockReset)) {
+    throw new Error(`Invalid lock reset mode: ${resolved.lockReset}`);
+  }
+
+  if (!GRAVITY_CURVES[resolved.gravityCurve]) {
+    throw new Error(`Unknown gravity curve: ${resolved.gravityCurve}`);
+  }
+  if (!LEVEL_PROGRESSIONS.includes(resolved.levelProgression)) {
+    throw new Error(`Invalid level progression: ${resolved.levelProgression}`);
+  }
+
+  if (!KICK_SYSTEMS[resolved.rotationSystem]) {
+    throw new Error(`Unknown rotation system: ${resolved.rotationSystem}`);
+  }
+  if (!isIntegerInRange(resolved.previewCount, 0, MAX_PREVIEW_COUNT)) {
+    throw new Error(`Invalid preview count: ${resolved.previewCount}`);
+  }
+
+  // Every piece has to fit in its spawn rotation, and the grid stays within the caps
+  if (!isIntegerInRange(resolved.width, 4, MAX_BOARD_WIDTH) || !isIntegerInRange(resolved.height, 4, MAX_BOARD_HEIGHT) ||
+      !isIntegerInRange(resolved.hiddenRows, 0, MAX_HIDDEN_ROWS)) {
+    throw new Error(`Invalid board size: ${resolved.width}x${resolved.height}+${resolved.hiddenRows}`);
+  }
+
+  // Anywhere from the top of the buffer to the floor
+  if (!isIntegerInRange(resolved.spawnY, -resolved.hiddenRows, resolved.height - 1)) {
+    throw new Error(`Invalid spawn row: ${resolved.spawnY}`);
+  }
+
+  // Column 4 on a standard board, clamped so a flat I piece still fits
+  if (resolved.spawnX === null) {
+    resolved.spawnX = Math.min(Math.floor(resolved.width / 2) - 1, resolved.width - 4);
+  }
+  // The piece's 4x4 box has to start on the board
+  if (!isIntegerInRange(resolved.spawnX, 0, resolved.width - 4)) {
+    throw new Error(`Invalid spawn column: ${resolved.spawnX}`);
+  }
+
+  return resolved;
+}
+
+export { RULES_PRESETS, BOARD_DEFAULTS, LOCK_RESET_MODES, MAX_PREVIEW_COUNT, MAX_BOARD_WIDTH, MAX_BOARD_HEIGHT, MAX_HIDDEN_ROWS, resolveRules };
@@ -0,0 +1,94 @@
+// Pluggable scoring systems: guideline (combos, back-to-back, perfect clears) and classic NES
+const SCORING_TABLES = {
+  guideline: {
+    lines: [0, 100, 300, 500, 800],
+    tspin: [400, 800, 1200, 1600],
+    mini: [100, 200, 400],
+    perfectClear: [0, 800, 1200, 1800, 2000],
+    backToBackPerfectClear: 3200,
+    backToBackBonus: 0.5,
+    comboBonus: 50
+  },
+  // NES line values only: no spins, combos, back-to-back or perfect clear bonuses
+  classic: {
+    lines: [0, 40, 100, 300, 1200],
+    tspin: null,
+    mini: null,
+    perfectClear: null,
+    backToBackPerfectClear: 0,
+    backToBackBonus: 0,
+    comboBonus: 0
+  }
+};
+
+class ScoringSystem {
+  constructor(table) {
+    this.table = table;
+    this.combo = -1; // -1 means no active combo; the first clear starts it at 0
+    this.backToBack = false;
+  }
+
+  // Scores one piece lock and advances combo / back-to-back state
+  scoreLock({ lines, spin = null, level = 1, perfectClear = false }) {
+    const { table } = this;
+    const countedSpin = spin && table[spin] ? spin : null;
+    let points = countedSpin ? (table[countedSpin][lines] || 0) : table.lines[lines];
+
+    // Tetrises and line-clearing spins are "difficult" and chain back-to-back
+    const difficult = lines === 4 || (countedSpin !== null && lines > 0);
+    const backToBack = table.backToBackBonus > 0 && difficult && this.backToBack;
+    if (backToBack) {
+      points *= 1 + table.backToBackBonus;
+    }
+    if (lines > 0 && table.backToBackBonus > 0) {
+      this.backToBack = difficult;
+    }
+
+    // Any lock without a line clear breaks the combo
+    if (table.comboBonus > 0) {
+      this.combo = lines > 0 ? this.combo + 1 : -1;
+      points += table.comboBonus * Math.max(0, this.combo);
+    }
+
+    const isPerfectClear = perfectClear && lines > 0 && !!table.perfectClear;
+    if (isPerfectClear) {
+      points += backToBack && lines === 4 ? table.backToBackPerfectClear : table.perfectClear[lines];
+    }
+
+    return {
+      points: Math.floor(points * level),
+      lines,
+      spin: countedSpin,
+      combo: Math.max(0, this.combo),
+      backToBack,
+      perfectClear: isPerfectClear
+    };
+  }
+
+  getState() {
+    return {
+      combo: Math.max(0, this.combo),
+      backToBack: this.backToBack
+    };
+  }
+
+  // Unlike getState, keeps the -1 "no combo" marker so a restored game scores identically
+  serialize() {
+    return { combo: this.combo, backToBack: this.backToBack };
+  }
+
+  restore(state) {
+    this.combo = state.combo;
+    this.backToBack = state.backToBack;
+  }
+}
+
+function createScoring(system = 'guideline') {
+  const table = SCORING_TABLES[system];
+  if (!table) {
+    throw new Error(`Unknown scoring system: ${system}`);
+  }
+  return new ScoringSystem(table);
+}
+
+export { SCORING_TABLES, ScoringSystem, createScoring };
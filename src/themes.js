@@ -0,0 +1,183 @@
+// Theme registry: renderer themes defined as JSON (palette, block style, grid lines, fonts and panel chrome)
+import { PIECE_TYPES } from './randomizer.js';
+import { GARBAGE_CELL } from './garbage.js';
+
+// sprite: cells cut from a pixel-art sheet, one `size`-pixel square per block type in `order`
+const BLOCK_STYLES = ['flat', 'bevel', 'glossy', 'sprite'];
+const GRID_STYLES = ['solid', 'dashed', 'dotted', 'none'];
+// win95: blue title bars and raised borders; flat: a plain outline with the title in the text colour
+const CHROME_STYLES = ['win95', 'flat'];
+// Which page stylesheet goes with the theme
+const PAGE_STYLES = ['win95', 'dark'];
+
+const PALETTE_COLORS = ['background', 'gridBorder', 'gridBackground', 'blockBorder', 'blockShadow', 'text', 'panel', 'panelBorder'];
+const BLOCK_TYPES = [...PIECE_TYPES, GARBAGE_CELL];
+
+const BUILTIN_THEMES = [
+  {
+    id: 'win95',
+    name: 'Win95',
+    palette: {
+      background: '#c0c0c0',
+      gridBorder: '#808080',
+      gridBackground: '#000000',
+      blockColors: { I: '#00ffff', O: '#ffff00', T: '#800080', S: '#00ff00', Z: '#ff0000', J: '#0000ff', L: '#ffa500', G: '#808080' },
+      blockBorder: '#ffffff',
+      blockShadow: '#404040',
+      text: '#000000',
+      panel: '#c0c0c0',
+      panelBorder: '#808080'
+    },
+    blocks: { style: 'bevel' },
+    grid: { style: 'solid', width: 1 },
+    fonts: { family: '"MS Sans Serif", sans-serif' },
+    chrome: { style: 'win95', titleBar: '#0000ff', titleText: '#ffffff' },
+    page: 'win95'
+  },
+  {
+    id: 'dark',
+    name: 'Dark',
+    palette: {
+      background: '#2d2d30',
+      gridBorder: '#3e3e42',
+      gridBackground: '#1e1e1e',
+      blockColors: { I: '#00d4ff', O: '#ffd700', T: '#9d4edd', S: '#06ffa5', Z: '#ff006e', J: '#3a86ff', L: '#ff8500', G: '#5a5a5a' },
+      blockBorder: '#ffffff',
+      blockShadow: '#000000',
+      text: '#ffffff',
+      panel: '#2d2d30',
+      panelBorder: '#3e3e42'
+    },
+    blocks: { style: 'flat' },
+    grid: { style: 'solid', width: 1 },
+    fonts: { family: 'monospace' },
+    chrome: { style: 'flat' },
+    page: 'dark'
+  }
+];
+
+function isColor(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+// Validates a theme definition (as loaded from JSON) and fills in defaults
+function parseTheme(definition) {
+  const { id, name = id, palette, blocks = {}, grid = {}, fonts = {}, chrome = {}, page = 'win95' } = definition || {};
+
+  if (!id || typeof id !== 'string') {
+    throw new Error('Invalid theme: missing id');
+  }
+  if (!palette || typeof palette !== 'object') {
+    throw new Error(`Invalid theme ${id}: missing palette`);
+  }
+  PALETTE_COLORS.forEach(color => {
+    if (!isColor(palette[color])) throw new Error(`Invalid theme ${id}: missing palette color ${color}`);
+  });
+  BLOCK_TYPES.forEach(type => {
+    if (!isColor(palette.blockColors?.[type])) throw new Error(`Invalid theme ${id}: missing block color ${type}`);
+  });
+
+  const blockStyle = blocks.style || 'flat';
+  if (!BLOCK_STYLES.includes(blockStyle)) {
+    throw new Error(`Unknown block style: ${blockStyle}`);
+  }
+  if (blockStyle === 'sprite' && !blocks.sprite?.src) {
+    throw new Error(`Invalid theme ${id}: sprite blocks need a sprite sheet`);
+  }
+
+  const gridStyle = grid.style || 'solid';
+  if (!GRID_STYLES.includes(gridStyle)) {
+    throw new Error(`Unknown grid style: ${gridStyle}`);
+  }
+
+  const chromeStyle = chrome.style || 'flat';
+  if (!CHROME_STYLES.includes(chromeStyle)) {
+    throw new Error(`Unknown panel chrome: ${chromeStyle}`);
+  }
+  if (!PAGE_STYLES.includes(page)) {
+    throw new Error(`Unknown page style: ${page}`);
+  }
+
+  return {
+    id,
+    name,
+    palette: {
+      ...Object.fromEntries(PALETTE_COLORS.map(color => [color, palette[color]])),
+      blockColors: Object.fromEntries(BLOCK_TYPES.map(type => [type, palette.blockColors[type]]))
+    },
+    blocks: blockStyle === 'sprite'
+      ? { style: blockStyle, sprite: { size: 16, order: BLOCK_TYPES.join(''), ...blocks.sprite } }
+      : { style: blockStyle },
+    grid: { style: gridStyle, width: grid.width ?? 1 },
+    fonts: { family: fonts.family || 'monospace' },
+    chrome: { style: chromeStyle, titleBar: chrome.titleBar || palette.panelBorder, titleText: chrome.titleText || palette.text },
+    page
+  };
+}
+
+class ThemeRegistry {
+  constructor(themes = BUILTIN_THEMES) {
+    this.themes = new Map();
+    this.builtIn = new Set(themes.map(theme => theme.id));
+    themes.forEach(theme => this.register(theme));
+  }
+
+  // Adds or replaces a theme; returns the parsed definition
+  register(definition) {
+    const theme = parseTheme(definition);
+    this.themes.set(theme.id, theme);
+    return theme;
+  }
+
+  // Built-in themes stay; removing a custom theme returns whether it existed
+  unregister(id) {
+    if (this.builtIn.has(id)) {
+      throw new Error(`Cannot remove built-in theme: ${id}`);
+    }
+    return this.themes.delete(id);
+  }
+
+  has(id) {
+    return this.themes.has(id);
+  }
+
+  get(id) {
+    const theme = this.themes.get(id);
+    if (!theme) {
+      throw new Error(`Unknown theme: ${id}`);
+    }
+    return theme;
+  }
+
+  list() {
+    return [...this.themes.values()].map(({ id, name }) => ({ id, name, builtIn: this.builtIn.has(id) }));
+  }
+
+  // Cycles through every registered theme in the order they were added
+  next(id) {
+    const ids = [...this.themes.keys()];
+    return ids[(ids.indexOf(id) + 1) % ids.length];
+  }
+
+  // Themes added on top of the built-ins, for saving
+  getCustomThemes() {
+    return [...this.themes.values()].filter(theme => !this.builtIn.has(theme.id));
+  }
+
+  export(id) {
+    return JSON.stringify(this.get(id), null, 2);
+  }
+
+  // Registers a theme from exported JSON; a file that doesn't validate leaves the registry alone
+  import(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      throw new Error('Invalid theme: not valid JSON');
+    }
+    return this.register(parsed);
+  }
+}
+
+export { BLOCK_STYLES, GRID_STYLES, CHROME_STYLES, PAGE_STYLES, BUILTIN_THEMES, parseTheme, ThemeRegistry };
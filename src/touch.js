@@ -0,0 +1,150 @@
+// Touch controls: swipe and tap gestures on the playfield, or an on-screen button pad
+import { BINDABLE_ACTIONS } from './keybindings.js';
+
+// The bindable action each gesture performs
+const GESTURE_ACTIONS = {
+  swipeLeft: 'moveLeft',
+  swipeRight: 'moveRight',
+  dragDown: 'softDrop',
+  flickDown: 'hardDrop',
+  swipeUp: 'hold',
+  tap: 'rotateCW',
+  tapLeft: 'rotateCCW'
+};
+
+const TOUCH_MODES = ['gestures', 'buttons'];
+
+// Distances in CSS pixels, times in milliseconds
+const TOUCH_DEFAULTS = {
+  mode: 'gestures',
+  swipeDistance: 30, // Sideways travel per column moved, and the minimum vertical swipe; smaller is more sensitive
+  flickVelocity: 1, // Downward speed (px/ms) that makes a hard drop rather than a soft drop
+  tapTime: 200, // Longest touch that still counts as a tap
+  buttonScale: 1 // Size of the on-screen pad's buttons
+};
+
+function resolveTouchSettings(settings = {}) {
+  const resolved = { ...TOUCH_DEFAULTS, ...settings };
+
+  if (!TOUCH_MODES.includes(resolved.mode)) {
+    throw new Error(`Unknown touch mode: ${resolved.mode}`);
+  }
+  ['swipeDistance', 'flickVelocity', 'tapTime', 'buttonScale'].forEach(name => {
+    if (typeof resolved[name] !== 'number' || !(resolved[name] > 0)) {
+      throw new Error(`Invalid touch setting ${name}: ${resolved[name]}`);
+    }
+  });
+
+  return resolved;
+}
+
+class TouchInput {
+  constructor(inputHandler, settings = {}) {
+    this.inputHandler = inputHandler;
+    this.settings = resolveTouchSettings(settings);
+    this.touches = new Map(); // Touch id -> where and when it started, and what it has done so far
+  }
+
+  setSettings(settings) {
+    this.settings = resolveTouchSettings({ ...this.settings, ...settings });
+  }
+
+  // Each handler returns { action, device, release } events, like GamepadInput.poll()
+  touchStart(id, x, y, time, width) {
+    this.touches.set(id, {
+      startX: x, startY: y, startTime: time,
+      anchorX: x, lastY: y, lastTime: time,
+      velocity: 0, width, moved: false, softDropping: false
+    });
+    return [];
+  }
+
+  touchMove(id, x, y, time) {
+    const touch = this.touches.get(id);
+    if (!touch) return [];
+
+    const events = [];
+    const { swipeDistance, flickVelocity } = this.settings;
+
+    // Every swipeDistance of sideways travel moves one column, so a long drag walks the piece across
+    while (Math.abs(x - touch.anchorX) >= swipeDistance) {
+      const left = x < touch.anchorX;
+      touch.anchorX += left ? -swipeDistance : swipeDistance;
+      touch.moved = true;
+      events.push(this.perform(left ? 'swipeLeft' : 'swipeRight'));
+    }
+
+    if (time > touch.lastTime) {
+      touch.velocity = (y - touch.lastY) / (time - touch.lastTime);
+      touch.lastY = y;
+      touch.lastTime = time;
+    }
+
+    // A slow drag down soft drops until the finger lifts; a fast one is left for touchEnd to hard drop
+    if (!touch.softDropping && y - touch.startY >= swipeDistance && touch.velocity < flickVelocity) {
+      touch.softDropping = true;
+      touch.moved = true;
+      const action = this.inputHandler.press(`touch${id}:softDrop`, this.getAction('dragDown'));
+      if (action) events.push({ action, device: 'touch', release: false });
+    }
+
+    return events;
+  }
+
+  touchEnd(id, x, y, time) {
+    const events = this.touchMove(id, x, y, time);
+    const touch = this.touches.get(id);
+    if (!touch) return events;
+
+    this.touches.delete(id);
+    const { swipeDistance, flickVelocity, tapTime } = this.settings;
+    const dx = x - touch.startX;
+    const dy = y - touch.startY;
+
+    if (touch.softDropping) {
+      events.push(this.releaseSoftDrop(id));
+    }
+
+    if (dy >= swipeDistance && touch.velocity >= flickVelocity) {
+      events.push(this.perform('flickDown'));
+    } else if (-dy >= swipeDistance && Math.abs(dy) > Math.abs(dx)) {
+      events.push(this.perform('swipeUp'));
+    } else if (!touch.moved && time - touch.startTime <= tapTime && Math.abs(dy) < swipeDistance) {
+      // Tapping the left half rotates counter-clockwise, the right half clockwise
+      events.push(this.perform(touch.startX < touch.width / 2 ? 'tapLeft' : 'tap'));
+    }
+
+    return events.filter(event => event.action);
+  }
+
+  touchCancel(id) {
+    const touch = this.touches.get(id);
+    this.touches.delete(id);
+    return touch?.softDropping ? [this.releaseSoftDrop(id)].filter(event => event.action) : [];
+  }
+
+  releaseSoftDrop(id) {
+    return { action: this.inputHandler.release(`touch${id}:softDrop`), device: 'touch', release: true };
+  }
+
+  perform(gesture) {
+    return { action: this.getAction(gesture), device: 'touch', release: false };
+  }
+
+  getAction(gesture) {
+    return { ...BINDABLE_ACTIONS[GESTURE_ACTIONS[gesture]].action };
+  }
+
+  // On-screen pad buttons are held like keys, so DAS applies to them too
+  pressButton(name) {
+    const action = this.inputHandler.press(`touchpad:${name}`, { ...BINDABLE_ACTIONS[name].action });
+    return action ? [{ action, device: 'touch', release: false }] : [];
+  }
+
+  releaseButton(name) {
+    const action = this.inputHandler.release(`touchpad:${name}`);
+    return action ? [{ action, device: 'touch', release: true }] : [];
+  }
+}
+
+export { GESTURE_ACTIONS, TOUCH_MODES, TOUCH_DEFAULTS, resolveTouchSettings, TouchInput };
@@ -0,0 +1,117 @@
+// Off-main-thread rendering: the canvases are handed to a Worker, with the in-thread Renderer as the fallback
+import { Renderer, getLayoutSizes, getPanelKey } from './renderer.js';
+import { encodeFrame, encodePanel, encodePiece } from './render-protocol.js';
+import { ThemeRegistry } from './themes.js';
+
+function supportsWorkerRendering(canvas, panelCanvas) {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+    typeof canvas.transferControlToOffscreen === 'function' &&
+    typeof panelCanvas?.transferControlToOffscreen === 'function';
+}
+
+// Same interface as Renderer, so the controller and UI agent don't need to know where drawing happens
+class WorkerRenderer {
+  constructor(canvas, panelCanvas, theme = 'win95', createWorker = () =>
+    new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' })) {
+    this.canvas = canvas;
+    this.panelCanvas = panelCanvas;
+    this.theme = theme;
+    this.themes = new ThemeRegistry(); // The worker only knows the themes posted to it
+    this.board = { width: 10, height: 20, hiddenRows: 0 };
+    this.bounds = null;
+    this.pixelRatio = 1;
+    this.panelKey = null; // Last panel posted, so unchanged frames aren't sent
+    this.onRenderTime = null; // Called with each frame's drawing time (ms), as measured in the worker
+
+    // Once transferred, the canvases can only be drawn to (and resized) from the worker
+    const offscreen = canvas.transferControlToOffscreen();
+    const offscreenPanel = panelCanvas.transferControlToOffscreen();
+    this.worker = createWorker();
+    this.worker.onerror = (event) => console.error('Render worker failed:', event.message);
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === 'renderTime' && this.onRenderTime) this.onRenderTime(data.time);
+    };
+    this.worker.postMessage({
+      type: 'init', canvas: offscreen, panel: offscreenPanel, theme, definition: this.getDefinition(theme)
+    }, [offscreen, offscreenPanel]);
+  }
+
+  setTheme(theme) {
+    const definition = this.getDefinition(theme);
+    this.theme = theme;
+    this.panelKey = null;
+    this.worker.postMessage({ type: 'theme', theme, definition });
+  }
+
+  // Sprite sheet URLs are relative to the page, and the worker would resolve them against its own script
+  getDefinition(theme) {
+    const definition = this.themes.get(theme);
+    if (definition.blocks.style !== 'sprite' || typeof location === 'undefined') return definition;
+
+    const sprite = { ...definition.blocks.sprite, src: new URL(definition.blocks.sprite.src, location.href).href };
+    return { ...definition, blocks: { ...definition.blocks, sprite } };
+  }
+
+  // The worker sizes the backing stores; the elements' CSS size has to be set here. The panel canvas is
+  // always the one transferred at construction, so the second argument is ignored
+  layout(bounds, panelCanvas, pixelRatio = window.devicePixelRatio || 1) {
+    this.bounds = bounds;
+    this.pixelRatio = pixelRatio;
+    this.panelKey = null;
+    this.applyLayout();
+    this.worker.postMessage({ type: 'layout', bounds, pixelRatio });
+  }
+
+  applyLayout() {
+    const sizes = getLayoutSizes(this.bounds, this.board, true, this.pixelRatio);
+    [[this.canvas, sizes.board], [this.panelCanvas, sizes.panel]].forEach(([canvas, { width, height }]) => {
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    });
+  }
+
+  render(gameState) {
+    if (!gameState) return;
+
+    // The worker re-lays out on a board change by itself; keep the element sizes in step
+    const { width, height, hiddenRows = 0 } = gameState.board || this.board;
+    if (width !== this.board.width || height !== this.board.height || hiddenRows !== this.board.hiddenRows) {
+      this.board = { width, height, hiddenRows };
+      if (this.bounds) this.applyLayout();
+    }
+
+    this.worker.postMessage(encodeFrame({ ...gameState, board: this.board }));
+  }
+
+  renderUI(gameState) {
+    const key = getPanelKey(gameState);
+    if (key === this.panelKey) return false;
+
+    this.panelKey = key;
+    this.worker.postMessage(encodePanel(gameState));
+    return true;
+  }
+
+  animateLineClear(rows) {
+    this.worker.postMessage({ type: 'lineClear', rows });
+  }
+
+  animatePieceDrop(piece) {
+    if (piece) this.worker.postMessage({ type: 'pieceDrop', piece: encodePiece(piece) });
+  }
+}
+
+// Draws in a worker where OffscreenCanvas is available, otherwise on the main thread as before
+function createRenderer(canvas, panelCanvas, theme = 'win95') {
+  if (supportsWorkerRendering(canvas, panelCanvas)) {
+    try {
+      return new WorkerRenderer(canvas, panelCanvas, theme);
+    } catch (error) {
+      // e.g. a canvas that already has a 2D context can't be transferred
+      console.warn('Falling back to main-thread rendering:', error);
+    }
+  }
+  return new Renderer(canvas, theme);
+}
+
+export { supportsWorkerRendering, WorkerRenderer, createRenderer };
@@ -34,6 +34,21 @@ describe('AIPredictorAgent', () => {
     expect(response.prediction.confidence).toBeGreaterThanOrEqual(0);
   });
 
+  test('should consider the held piece as an alternative', async () => {
+    const grid = Array(20).fill().map(() => Array(10).fill(0));
+    const piece = { type: 'S', x: 4, y: 0, rotation: 0 };
+    
+    const response = await agent.handleMessage({
+      type: 'PREDICT_BEST_MOVE',
+      payload: { piece, grid, holdPiece: { type: 'I' }, canHold: true }
+    });
+    
+    const candidates = [response.prediction.move, ...response.prediction.alternatives];
+    expect(response.success).toBe(true);
+    expect(candidates.every(move => typeof move.useHold === 'boolean')).toBe(true);
+    expect(response.prediction.move.pieceType).toBeDefined();
+  });
+
   test('should analyze board', async () => {
     const grid = Array(20).fill().map(() => Array(10).fill(0));
     
@@ -46,6 +61,22 @@ describe('AIPredictorAgent', () => {
     expect(response.analysis).toBeDefined();
   });
 
+  test('should keep moves inside a narrow board', async () => {
+    const grid = Array(12).fill().map(() => Array(6).fill(0));
+    const piece = { type: 'I', x: 1, y: 0, rotation: 0 };
+
+    const response = await agent.handleMessage({
+      type: 'PREDICT_BEST_MOVE',
+      payload: { piece, grid }
+    });
+
+    const { move } = response.prediction;
+    expect(response.success).toBe(true);
+    expect(move.y).toBeLessThan(12);
+    expect(agent.getHoles(grid)).toBe(0);
+    expect(agent.calculateDangerLevel(grid)).toBe(0);
+  });
+
   test('should set difficulty level', async () => {
     const response = await agent.handleMessage({
       type: 'SET_DIFFICULTY',
@@ -55,4 +86,22 @@ describe('AIPredictorAgent', () => {
     expect(response.success).toBe(true);
     expect(response.level).toBe(5);
   });
+
+  test('should report unsolvable puzzles', async () => {
+    const response = await agent.handleMessage({
+      type: 'VALIDATE_PUZZLE',
+      payload: {
+        puzzle: {
+          id: 'impossible',
+          grid: ['GGGGGGGG..', 'GGGGGGGG..'],
+          pieces: ['I'],
+          goal: { type: 'perfectClear' }
+        }
+      }
+    });
+
+    expect(response.success).toBe(true);
+    expect(response.solvable).toBe(false);
+    expect(response.solution).toBeNull();
+  });
 });
\ No newline at end of file
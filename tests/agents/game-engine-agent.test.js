@@ -1,4 +1,5 @@
 const { GameEngineAgent } = require('../../agents/game-engine-agent');
+const { GameEngine } = require('../../src/game-engine');
 
 describe('GameEngineAgent', () => {
   let agent;
@@ -38,6 +39,114 @@ describe('GameEngineAgent', () => {
     expect(response.success).toBe(true);
   });
 
+  test('should log agent inputs by tick so the game can be re-run', async () => {
+    const options = { seed: 7, rules: 'guideline' };
+    await agent.handleMessage({ type: 'START_GAME', payload: options });
+    await agent.handleMessage({ type: 'MOVE_PIECE', payload: { direction: 'left' } });
+    await agent.handleMessage({ type: 'ADVANCE_TICKS', payload: { ticks: 30 } });
+    await agent.handleMessage({ type: 'ROTATE_PIECE', payload: { direction: 'cw' } });
+    await agent.handleMessage({ type: 'DROP_PIECE', payload: {} });
+    const response = await agent.handleMessage({ type: 'ADVANCE_TICKS', payload: { ticks: 20 } });
+    expect(response.tick).toBe(50);
+
+    const engine = agent.gameEngine;
+    expect(engine.inputLog.map(({ tick, action }) => [tick, action.type])).toEqual([[0, 'move'], [30, 'rotate'], [30, 'drop']]);
+    expect(GameEngine.simulate(options, engine.inputLog, engine.tickCount).getState()).toEqual(engine.getState());
+
+    const invalid = await agent.handleMessage({ type: 'ADVANCE_TICKS', payload: { ticks: -1 } });
+    expect(invalid.success).toBe(false);
+  });
+
+  test('should handle rotate piece directions', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: {} });
+
+    const response = await agent.handleMessage({
+      type: 'ROTATE_PIECE',
+      payload: { direction: 'ccw' }
+    });
+    expect(response.success).toBe(true);
+
+    const invalid = await agent.handleMessage({
+      type: 'ROTATE_PIECE',
+      payload: { direction: 'sideways' }
+    });
+    expect(invalid.success).toBe(false);
+  });
+
+  test('should forward engine events after an action', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: { rules: 'infinity' } });
+    const notify = jest.spyOn(agent, 'notifySubscribers');
+
+    await agent.handleMessage({ type: 'DROP_PIECE', payload: {} });
+
+    const eventTypes = notify.mock.calls.map(([eventType]) => eventType);
+    expect(eventTypes).toEqual(['PIECE_DROPPED', 'PIECE_LOCKED', 'PIECE_SPAWNED']);
+  });
+
+  test('should queue incoming garbage', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: {} });
+
+    const response = await agent.handleMessage({
+      type: 'RECEIVE_GARBAGE',
+      payload: { lines: 3 }
+    });
+    expect(response.success).toBe(true);
+    expect(response.pendingGarbage).toBe(3);
+
+    const invalid = await agent.handleMessage({ type: 'RECEIVE_GARBAGE', payload: { lines: -1 } });
+    expect(invalid.success).toBe(false);
+  });
+
+  test('should save and load game snapshots', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: { seed: 5 } });
+    await agent.handleMessage({ type: 'DROP_PIECE', payload: {} });
+
+    const saved = await agent.handleMessage({ type: 'SAVE_GAME', payload: {} });
+    expect(saved.success).toBe(true);
+    const before = agent.gameEngine.getState();
+
+    await agent.handleMessage({ type: 'START_GAME', payload: {} });
+    const loaded = await agent.handleMessage({
+      type: 'LOAD_GAME',
+      payload: { snapshot: saved.snapshot }
+    });
+    expect(loaded.success).toBe(true);
+    expect(loaded.gameState).toEqual(before);
+
+    const invalid = await agent.handleMessage({ type: 'LOAD_GAME', payload: { snapshot: { version: 0 } } });
+    expect(invalid.success).toBe(false);
+  });
+
+  test('should undo piece placements in practice mode only', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: { mode: 'practice' } });
+    await agent.handleMessage({ type: 'DROP_PIECE', payload: {} });
+
+    const undo = await agent.handleMessage({ type: 'UNDO_PIECE', payload: {} });
+    expect(undo.undone).toBe(true);
+    expect(undo.gameState.usedUndo).toBe(true);
+
+    const redo = await agent.handleMessage({ type: 'REDO_PIECE', payload: {} });
+    expect(redo.redone).toBe(true);
+
+    await agent.handleMessage({ type: 'START_GAME', payload: {} });
+    await agent.handleMessage({ type: 'DROP_PIECE', payload: {} });
+    const refused = await agent.handleMessage({ type: 'UNDO_PIECE', payload: {} });
+    expect(refused.undone).toBe(false);
+  });
+
+  test('should handle hold piece message', async () => {
+    await agent.handleMessage({ type: 'START_GAME', payload: {} });
+    
+    const response = await agent.handleMessage({
+      type: 'HOLD_PIECE',
+      payload: {}
+    });
+    
+    expect(response.success).toBe(true);
+    expect(response.held).toBe(true);
+    expect(response.gameState.holdPiece).toBeDefined();
+  });
+
   test('should return health check', async () => {
     const health = await agent.healthCheck();
     expect(health.status).toBe('healthy');
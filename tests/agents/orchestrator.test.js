@@ -0,0 +1,11 @@
+const { TetrisOrchestrator } = require('../../agents/orchestrator');
+
+describe('TetrisOrchestrator', () => {
+  test('should route engine actions to the game engine', () => {
+    const { routingTable } = new TetrisOrchestrator();
+    ['MOVE_PIECE', 'HOLD_PIECE', 'UNDO_PIECE', 'ADVANCE_TICKS'].forEach(type => {
+      expect(routingTable[type]).toBe('game-engine');
+    });
+    expect(routingTable.VALIDATE_PUZZLE).toBe('ai-predictor');
+  });
+});
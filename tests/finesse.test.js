@@ -0,0 +1,70 @@
+const { getMinimalInputs, FinesseTracker } = require('../src/finesse');
+const { resolveRules } = require('../src/rules');
+
+const rules = resolveRules('guideline');
+
+describe('getMinimalInputs', () => {
+  test('should need no inputs for the spawn position', () => {
+    expect(getMinimalInputs('T', rules.spawnX, 0, rules)).toBe(0);
+    expect(getMinimalInputs('O', rules.spawnX, 0, rules)).toBe(0);
+  });
+
+  test('should count a DAS to the wall as one input', () => {
+    expect(getMinimalInputs('T', 0, 0, rules)).toBe(1);
+    expect(getMinimalInputs('T', 1, 0, rules)).toBe(2);
+    expect(getMinimalInputs('I', 6, 0, rules)).toBe(1);
+  });
+
+  test('should treat symmetric rotations as the same placement', () => {
+    // The I piece's second flat rotation sits a row lower in its box but covers the same columns
+    expect(getMinimalInputs('I', rules.spawnX, 2, rules)).toBe(0);
+    // S vertical: rotation 3 at x is rotation 1 at x - 1
+    expect(getMinimalInputs('S', rules.spawnX - 1, 1, rules)).toBe(getMinimalInputs('S', rules.spawnX, 3, rules));
+  });
+
+  test('should use kicks off the walls', () => {
+    // Vertical I against the right wall: DAS right then rotate, two inputs
+    expect(getMinimalInputs('I', 7, 1, rules)).toBe(2);
+  });
+
+  test('should return null for positions off the board', () => {
+    expect(getMinimalInputs('T', -3, 0, rules)).toBeNull();
+  });
+});
+
+describe('FinesseTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new FinesseTracker(rules);
+  });
+
+  test('should report no faults for an optimal placement', () => {
+    tracker.recordInput({ type: 'move', direction: 'left' });
+    tracker.recordInput({ type: 'move', direction: 'left', toWall: true, repeat: true });
+    expect(tracker.recordLock({ type: 'T', x: 0, rotation: 0 })).toEqual({
+      type: 'T', x: 0, rotation: 0, inputs: 1, optimal: 1, faults: 0
+    });
+  });
+
+  test('should count extra presses as faults', () => {
+    ['cw', 'cw', 'cw'].forEach(direction => tracker.recordInput({ type: 'rotate', direction }));
+    const result = tracker.recordLock({ type: 'T', x: rules.spawnX, rotation: 3 });
+    expect(result.optimal).toBe(1);
+    expect(result.faults).toBe(2);
+    expect(tracker.getStats()).toEqual({ pieces: 1, faults: 2, lastFaults: 2 });
+  });
+
+  test('should not judge soft-dropped pieces', () => {
+    tracker.recordInput({ type: 'softDrop', active: true });
+    tracker.recordInput({ type: 'rotate', direction: 'cw' });
+    expect(tracker.recordLock({ type: 'T', x: rules.spawnX, rotation: 0 })).toBeNull();
+    expect(tracker.getStats().pieces).toBe(0);
+  });
+
+  test('should start the count over after a hold', () => {
+    tracker.recordInput({ type: 'move', direction: 'right' });
+    tracker.resetPiece();
+    expect(tracker.recordLock({ type: 'T', x: rules.spawnX, rotation: 0 }).faults).toBe(0);
+  });
+});
@@ -57,6 +57,689 @@ describe('GameEngine', () => {
     engine.updateScore(1);
     expect(engine.score).toBeGreaterThan(initialScore);
   });
+
+  test('should deal identical pieces for the same seed', () => {
+    const a = new GameEngine({ seed: 2024, randomizer: 'bag7' });
+    const b = new GameEngine({ seed: 2024, randomizer: 'bag7' });
+    const sequence = (game) => Array.from({ length: 14 }, () => {
+      game.spawnNewPiece();
+      return game.currentPiece.type;
+    });
+    expect(sequence(a)).toEqual(sequence(b));
+  });
+
+  test('should hold current piece and pull next from queue', () => {
+    engine.spawnNewPiece();
+    const firstType = engine.currentPiece.type;
+    const nextType = engine.nextPieces[0].type;
+
+    expect(engine.holdCurrentPiece()).toBe(true);
+    expect(engine.holdPiece.type).toBe(firstType);
+    expect(engine.currentPiece.type).toBe(nextType);
+    expect(engine.getState().canHold).toBe(false);
+  });
+
+  test('should only allow one hold per drop', () => {
+    engine = new GameEngine({ rules: 'infinity' });
+    engine.spawnNewPiece();
+    engine.holdCurrentPiece();
+    expect(engine.holdCurrentPiece()).toBe(false);
+
+    // Locking the piece re-enables hold and swaps back the held piece
+    const heldType = engine.holdPiece.type;
+    engine.hardDrop();
+    expect(engine.canHold).toBe(true);
+    const activeType = engine.currentPiece.type;
+    expect(engine.holdCurrentPiece()).toBe(true);
+    expect(engine.currentPiece.type).toBe(heldType);
+    expect(engine.holdPiece.type).toBe(activeType);
+  });
+
+  test('should not lock on contact while lock delay runs', () => {
+    engine.spawnNewPiece();
+    while (engine.movePiece('down'));
+    const piece = engine.currentPiece;
+
+    expect(engine.movePiece('down')).toBe(false);
+    engine.update(400);
+    expect(engine.currentPiece).toBe(piece);
+
+    engine.update(100);
+    expect(engine.currentPiece).toBeNull();
+    expect(engine.phase).toBe('entry');
+  });
+
+  test('should reset lock delay on moves up to the reset limit', () => {
+    engine = new GameEngine({ rules: { preset: 'guideline', maxLockResets: 2 } });
+    engine.spawnNewPiece();
+    while (engine.movePiece('down'));
+
+    engine.update(400);
+    engine.movePiece('left');
+    engine.update(400);
+    engine.movePiece('right');
+    expect(engine.lockResets).toBe(2);
+    expect(engine.currentPiece).not.toBeNull();
+
+    // Budget spent: the next grounded tick locks immediately
+    engine.tick();
+    expect(engine.currentPiece).toBeNull();
+  });
+
+  test('should only reset lock delay on a new row with step reset', () => {
+    engine = new GameEngine({ rules: 'tgm' });
+    engine.spawnNewPiece();
+    while (engine.movePiece('down'));
+
+    engine.update(400);
+    engine.movePiece('left');
+    engine.update(100);
+    expect(engine.currentPiece).toBeNull();
+  });
+
+  test('should lock immediately without lock delay', () => {
+    engine = new GameEngine({ rules: 'classic' });
+    engine.spawnNewPiece();
+    while (engine.movePiece('down'));
+    expect(engine.currentPiece).toBeNull();
+  });
+
+  test('should spawn after the entry delay', () => {
+    engine.spawnNewPiece();
+    engine.hardDrop();
+    expect(engine.phase).toBe('entry');
+
+    engine.update(50);
+    expect(engine.currentPiece).toBeNull();
+    engine.update(50);
+    expect(engine.currentPiece).not.toBeNull();
+    expect(engine.phase).toBe('falling');
+  });
+
+  test('should hold full rows during the line clear delay', () => {
+    for (let x = 0; x < 10; x++) {
+      if (x < 4 || x > 7) engine.grid[19][x] = 'L';
+    }
+    engine.spawnPiece(new Tetromino('I'));
+    engine.currentPiece.x = 4;
+    engine.hardDrop();
+
+    expect(engine.phase).toBe('lineClear');
+    expect(engine.getState().clearingLines).toEqual([19]);
+    expect(engine.lines).toBe(0);
+
+    engine.update(300);
+    expect(engine.lines).toBe(1);
+    expect(engine.phase).toBe('entry');
+  });
+
+  test('should rotate counter-clockwise and 180 degrees', () => {
+    engine.spawnPiece(new Tetromino('T'));
+    engine.currentPiece.y = 5;
+
+    expect(engine.rotatePiece('ccw')).toBe(true);
+    expect(engine.currentPiece.rotation).toBe(3);
+    expect(engine.rotatePiece('180')).toBe(true);
+    expect(engine.currentPiece.rotation).toBe(1);
+    expect(() => engine.rotatePiece('sideways')).toThrow('Unknown rotation direction: sideways');
+  });
+
+  test('should kick a vertical I piece off the left wall', () => {
+    engine.spawnPiece(new Tetromino('I'));
+    Object.assign(engine.currentPiece, { x: -2, y: 5, rotation: 1 });
+
+    expect(engine.rotatePiece('ccw')).toBe(true);
+    expect(engine.currentPiece.rotation).toBe(0);
+    expect(engine.currentPiece.x).toBe(0);
+  });
+
+  describe('fixed timestep', () => {
+    test('should only simulate whole ticks and carry the remainder', () => {
+      engine.spawnNewPiece();
+      engine.update(10);
+      expect(engine.tickCount).toBe(0);
+      engine.update(10);
+      expect(engine.tickCount).toBe(1);
+      engine.update(1000);
+      expect(engine.tickCount).toBe(61);
+    });
+
+    test('should fall one row per 60 ticks at level 1 and apply 20G instantly', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      engine.spawnNewPiece();
+      const startY = engine.currentPiece.y;
+
+      for (let i = 0; i < 59; i++) engine.tick();
+      expect(engine.currentPiece.y).toBe(startY);
+      engine.tick();
+      expect(engine.currentPiece.y).toBe(startY + 1);
+
+      engine.gravity = 20;
+      engine.tick();
+      expect(engine.isGrounded()).toBe(true);
+    });
+
+    test('should apply queued inputs on the next tick and log their tick index', () => {
+      engine.spawnNewPiece();
+      const x = engine.currentPiece.x;
+
+      engine.queueInput({ type: 'move', direction: 'left' });
+      expect(engine.currentPiece.x).toBe(x);
+      engine.tick();
+      expect(engine.currentPiece.x).toBe(x - 1);
+      expect(engine.inputLog).toEqual([{ tick: 0, action: { type: 'move', direction: 'left' } }]);
+      expect(() => engine.queueInput({ type: 'teleport' })).toThrow('Unknown input: teleport');
+    });
+
+    test('should reproduce a game exactly from its input log', () => {
+      const options = { seed: 99, rules: 'guideline' };
+      engine = new GameEngine(options);
+      engine.spawnNewPiece();
+      const inputs = ['left', 'drop', 'right', 'rotate', 'drop', 'hold', 'drop'];
+      inputs.forEach((input, index) => {
+        const action = input === 'drop' || input === 'hold' || input === 'rotate'
+          ? { type: input }
+          : { type: 'move', direction: input };
+        engine.queueInput(action);
+        for (let i = 0; i <= index * 7; i++) engine.tick();
+      });
+
+      const replayed = GameEngine.simulate(options, engine.inputLog, engine.tickCount);
+      expect(replayed.getState()).toEqual(engine.getState());
+    });
+  });
+
+  describe('input buffering', () => {
+    test('should apply buffered rotation and hold when the next piece spawns', () => {
+      engine = new GameEngine({ seed: 5, rules: 'guideline' });
+      engine.spawnNewPiece();
+      engine.queueInput({ type: 'drop' });
+      engine.tick();
+      expect(engine.phase).toBe('entry');
+
+      // Unbuffered input between pieces is lost; buffered input waits for the spawn
+      engine.queueInput({ type: 'rotate', direction: 'ccw' });
+      engine.queueInput({ type: 'rotate', direction: 'cw', buffered: true });
+      engine.tick();
+      expect(engine.spawnInputs).toHaveLength(1);
+
+      while (!engine.currentPiece) engine.tick();
+      expect(engine.currentPiece.rotation).toBe(1);
+      expect(engine.spawnInputs).toEqual([]);
+
+      const replayed = GameEngine.simulate({ seed: 5, rules: 'guideline' }, engine.inputLog, engine.tickCount);
+      expect(replayed.currentPiece.rotation).toBe(1);
+    });
+
+    test('should keep buffered inputs in snapshots', () => {
+      engine.spawnNewPiece();
+      engine.hardDrop();
+      engine.queueInput({ type: 'hold', buffered: true });
+      engine.tick();
+
+      const restored = GameEngine.fromSnapshot(engine.serialize());
+      while (!restored.currentPiece) restored.tick();
+      expect(restored.holdPiece).not.toBeNull();
+    });
+  });
+
+  describe('levels and gravity', () => {
+    test('should start at the selected level and speed up as lines are cleared', () => {
+      engine = new GameEngine({ level: 5 });
+      expect(engine.level).toBe(5);
+      expect(engine.getState().startLevel).toBe(5);
+      const gravity = engine.gravity;
+
+      engine.lines = 6;
+      engine.updateScore(4);
+      expect(engine.level).toBe(6);
+      expect(engine.gravity).toBeGreaterThan(gravity);
+      expect(() => new GameEngine({ level: 0 })).toThrow('Invalid starting level: 0');
+    });
+
+    test('should multiply gravity while soft dropping', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      engine.spawnNewPiece();
+      const startY = engine.currentPiece.y;
+
+      engine.queueInput({ type: 'softDrop', active: true });
+      for (let i = 0; i < 4; i++) engine.tick();
+      expect(engine.currentPiece.y).toBe(startY + 1);
+
+      engine.queueInput({ type: 'softDrop', active: false });
+      for (let i = 0; i < 10; i++) engine.tick();
+      expect(engine.currentPiece.y).toBe(startY + 1);
+    });
+
+    test('should use the soft drop factor carried by the input', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      engine.spawnNewPiece();
+      const startY = engine.currentPiece.y;
+
+      engine.queueInput({ type: 'softDrop', active: true, factor: 60 });
+      engine.tick();
+      expect(engine.currentPiece.y).toBe(startY + 1);
+      expect(GameEngine.fromSnapshot(engine.serialize()).softDropFactor).toBe(60);
+    });
+
+    test('should run the tick callback before every tick and slide to the wall', () => {
+      engine.spawnNewPiece();
+      const ticks = [];
+      engine.update(50, () => ticks.push(engine.tickCount));
+      expect(ticks).toEqual([0, 1, 2]);
+
+      engine.queueInput({ type: 'move', direction: 'left', toWall: true });
+      engine.tick();
+      expect(engine.movePiece('left')).toBe(false);
+    });
+  });
+
+  describe('snapshots', () => {
+    const playSome = (game, count) => {
+      for (let i = 0; i < count; i++) {
+        game.queueInput(i % 3 === 0 ? { type: 'hold' } : { type: 'move', direction: i % 2 ? 'left' : 'right' });
+        game.queueInput({ type: 'drop' });
+        for (let t = 0; t < 30; t++) game.tick();
+      }
+    };
+
+    test('should resume with identical state and future play', () => {
+      engine = new GameEngine({ seed: 7, randomizer: 'tgm', rules: 'guideline', garbage: { pattern: 'messy' } });
+      engine.spawnNewPiece();
+      playSome(engine, 5);
+      engine.receiveGarbage(3);
+      for (let t = 0; t < 17; t++) engine.tick();
+
+      const restored = GameEngine.fromSnapshot(JSON.parse(JSON.stringify(engine.serialize())));
+      expect(restored.getState()).toEqual(engine.getState());
+
+      playSome(engine, 8);
+      playSome(restored, 8);
+      expect(restored.getState()).toEqual(engine.getState());
+      expect(restored.serialize()).toEqual(engine.serialize());
+    });
+
+    test('should keep mode, board and combo state', () => {
+      engine = new GameEngine({ mode: 'cheese', rules: { hiddenRows: 2, width: 8 } });
+      engine.spawnNewPiece();
+      engine.scoring.combo = 2;
+      engine.scoring.backToBack = true;
+
+      const restored = GameEngine.fromSnapshot(engine.serialize());
+      expect(restored.modeType).toBe('cheese');
+      expect(restored.rows).toBe(22);
+      expect(restored.width).toBe(8);
+      expect(restored.scoring.serialize()).toEqual({ combo: 2, backToBack: true });
+      expect(restored.getGrid()).toEqual(engine.getGrid());
+    });
+
+    test('should leave the input log out of snapshots on request', () => {
+      engine = new GameEngine({ seed: 3 });
+      engine.spawnNewPiece();
+      playSome(engine, 3);
+
+      const snapshot = engine.serialize({ inputLog: false });
+      expect(snapshot.inputLog).toBeNull();
+
+      const restored = GameEngine.fromSnapshot(snapshot);
+      expect(restored.inputLog).toEqual([]);
+      expect(restored.getState()).toEqual(engine.getState());
+    });
+
+    test('should reject unknown snapshot versions', () => {
+      const snapshot = { ...engine.serialize(), version: 99 };
+      expect(() => GameEngine.fromSnapshot(snapshot)).toThrow('Unsupported snapshot version: 99');
+      expect(() => GameEngine.fromSnapshot(null)).toThrow('Unsupported snapshot version');
+    });
+  });
+
+  describe('practice undo', () => {
+    const withoutHistory = ({ canUndo, canRedo, usedUndo, ...state }) => state;
+
+    test('should undo and redo placements with the exact queue and randomizer', () => {
+      engine = new GameEngine({ mode: 'practice', seed: 3, rules: 'infinity' });
+      engine.spawnNewPiece();
+      engine.hardDrop();
+      const beforeSecond = engine.getState();
+      const randomizerBefore = engine.randomizer.serialize();
+      engine.movePiece('left');
+      engine.hardDrop();
+      const afterSecond = engine.getState();
+
+      expect(engine.undo()).toBe(true);
+      expect(withoutHistory(engine.getState())).toEqual(withoutHistory(beforeSecond));
+      expect(engine.randomizer.serialize()).toEqual(randomizerBefore);
+      expect(engine.usedUndo).toBe(true);
+
+      expect(engine.redo()).toBe(true);
+      expect(withoutHistory(engine.getState())).toEqual(withoutHistory(afterSecond));
+      expect(engine.redo()).toBe(false);
+    });
+
+    test('should drop the redo history on a new placement and undo a top out', () => {
+      engine = new GameEngine({ mode: 'practice', rules: 'infinity' });
+      engine.spawnNewPiece();
+      engine.hardDrop();
+      engine.undo();
+      engine.hardDrop();
+      expect(engine.getState().canRedo).toBe(false);
+
+      engine.grid[0].fill('L');
+      engine.grid[1].fill('L');
+      engine.spawnNewPiece();
+      expect(engine.outcome).toBe('topOut');
+      expect(engine.undo()).toBe(true);
+      expect(engine.gameState).toBe('playing');
+    });
+
+    test('should keep the input log out of the history and cut it back on undo', () => {
+      engine = new GameEngine({ mode: 'practice', seed: 3, rules: 'infinity' });
+      engine.spawnNewPiece();
+      engine.queueInput({ type: 'drop' });
+      engine.tick();
+      engine.queueInput({ type: 'move', direction: 'left' });
+      engine.queueInput({ type: 'drop' });
+      engine.tick();
+      expect(engine.inputLog).toHaveLength(3);
+      expect(engine.undoStack.every(entry => entry.inputLog === null)).toBe(true);
+
+      engine.undo();
+      expect(engine.inputLog).toEqual([{ tick: 0, action: { type: 'drop' } }]);
+    });
+
+    test('should refuse undo outside practice and keep the flag in snapshots', () => {
+      engine.spawnNewPiece();
+      engine.hardDrop();
+      expect(engine.undo()).toBe(false);
+      expect(engine.usedUndo).toBe(false);
+
+      const practice = new GameEngine({ mode: 'practice' });
+      practice.spawnNewPiece();
+      practice.hardDrop();
+      practice.undo();
+      expect(GameEngine.fromSnapshot(practice.serialize()).usedUndo).toBe(true);
+    });
+  });
+
+  describe('events', () => {
+    test('should emit lock, clear and level up events with payloads', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      const events = [];
+      ['pieceSpawned', 'pieceLocked', 'linesCleared', 'levelUp'].forEach(name => {
+        engine.on(name, payload => events.push([name, payload]));
+      });
+
+      engine.lines = 9;
+      for (let x = 0; x < 10; x++) {
+        if (x < 4 || x > 7) engine.grid[19][x] = 'L';
+      }
+      engine.spawnPiece(new Tetromino('I'));
+      engine.currentPiece.x = 4;
+      engine.hardDrop();
+
+      expect(events.map(([name]) => name)).toEqual(['pieceSpawned', 'pieceLocked', 'linesCleared', 'levelUp', 'pieceSpawned']);
+      expect(events[1][1]).toMatchObject({ type: 'I', lines: 1, rows: [19] });
+      expect(events[2][1]).toMatchObject({ rows: [19], lines: 1, name: 'Single' });
+      expect(events[3][1]).toEqual({ level: 2, previousLevel: 1 });
+    });
+
+    test('should emit hold and top out events', () => {
+      const holdUsed = jest.fn();
+      const topOut = jest.fn();
+      engine.on('holdUsed', holdUsed);
+      engine.on('topOut', topOut);
+
+      engine.spawnPiece(new Tetromino('T'));
+      engine.holdCurrentPiece();
+      expect(holdUsed).toHaveBeenCalledWith({ held: 'T', released: null });
+
+      engine.grid[0].fill('L');
+      engine.grid[1].fill('L');
+      engine.spawnNewPiece();
+      expect(topOut).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'topOut' }));
+    });
+
+    test('should unsubscribe and reject unknown events', () => {
+      const listener = jest.fn();
+      const unsubscribe = engine.on('pieceSpawned', listener);
+      unsubscribe();
+      engine.spawnNewPiece();
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(() => engine.on('explode', listener)).toThrow('Unknown engine event: explode');
+    });
+  });
+
+  describe('garbage', () => {
+    test('should raise queued garbage on a lock that clears nothing', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      const risen = jest.fn();
+      engine.on('garbageRisen', risen);
+      engine.receiveGarbage(2);
+
+      engine.spawnPiece(new Tetromino('O'));
+      engine.hardDrop();
+
+      expect(risen).toHaveBeenCalledWith({ lines: 2 });
+      expect(engine.grid[19].filter(cell => cell === 0)).toHaveLength(1);
+      expect(engine.grid[17].some(cell => cell === 'O')).toBe(true);
+      expect(engine.getState().pendingGarbage).toBe(0);
+    });
+
+    test('should cancel incoming garbage with outgoing attack', () => {
+      engine = new GameEngine({ rules: 'infinity' });
+      engine.receiveGarbage(6);
+      engine.grid[15][5] = 'L'; // Avoid a perfect clear
+      for (let y = 16; y < 20; y++) {
+        for (let x = 0; x < 10; x++) {
+          if (x !== 0) engine.grid[y][x] = 'L';
+        }
+      }
+      engine.spawnPiece(new Tetromino('I'));
+      engine.rotatePiece('ccw');
+      engine.currentPiece.x = -1;
+      engine.hardDrop();
+
+      expect(engine.lines).toBe(4);
+      expect(engine.getState().pendingGarbage).toBe(2);
+      expect(engine.attackSent).toBe(0);
+    });
+  });
+
+  describe('board configuration', () => {
+    test('should size the grid with hidden rows and spawn inside the buffer', () => {
+      engine = new GameEngine({ rules: { preset: 'guideline', hiddenRows: 20, spawnY: -2 } });
+      engine.spawnNewPiece();
+
+      expect(engine.getGrid()).toHaveLength(40);
+      expect(engine.currentPiece.y).toBe(18);
+      expect(engine.getState().board).toEqual({ width: 10, height: 20, hiddenRows: 20 });
+    });
+
+    test('should clear lines and block walls on a narrow board', () => {
+      engine = new GameEngine({ rules: { preset: 'infinity', width: 4, height: 10, previewCount: 5 } });
+      engine.spawnPiece(new Tetromino('I'));
+
+      expect(engine.currentPiece.x).toBe(0);
+      expect(engine.movePiece('right')).toBe(false);
+      engine.hardDrop();
+      expect(engine.lines).toBe(1);
+      expect(engine.nextPieces).toHaveLength(5);
+    });
+
+    test('should keep spawning pieces with no previews', () => {
+      engine = new GameEngine({ rules: { preset: 'infinity', previewCount: 0 } });
+      expect(engine.spawnNewPiece()).toBe(true);
+      engine.hardDrop();
+
+      expect(engine.gameState).toBe('playing');
+      expect(engine.piecesPlaced).toBe(1);
+      expect(engine.currentPiece).toBeTruthy();
+      expect(engine.holdCurrentPiece()).toBe(true);
+      expect(engine.currentPiece).toBeTruthy();
+      expect(engine.nextPieces).toHaveLength(0);
+    });
+  });
+
+  describe('game modes', () => {
+    test('should finish sprint once 40 lines are cleared', () => {
+      engine = new GameEngine({ mode: 'sprint', rules: 'infinity' });
+      engine.lines = 39;
+      for (let x = 0; x < 10; x++) {
+        if (x < 4 || x > 7) engine.grid[19][x] = 'L';
+      }
+      engine.spawnPiece(new Tetromino('I'));
+      engine.currentPiece.x = 4;
+      engine.hardDrop();
+
+      expect(engine.gameState).toBe('gameOver');
+      expect(engine.outcome).toBe('completed');
+      expect(engine.getState().linesRemaining).toBe(0);
+    });
+
+    test('should end ultra when the clock runs out', () => {
+      engine = new GameEngine({ mode: 'ultra' });
+      engine.spawnNewPiece();
+      engine.gravity = 0; // Only the clock matters here, not topping out
+      engine.update(119000);
+      expect(engine.gameState).toBe('playing');
+      expect(engine.getState().timeRemaining).toBe(1000);
+
+      engine.update(1000);
+      expect(engine.outcome).toBe('timeUp');
+    });
+
+    test('should clear the board instead of topping out in zen', () => {
+      engine = new GameEngine({ mode: 'zen' });
+      engine.grid[0].fill('L');
+      engine.grid[1].fill('L');
+
+      expect(engine.spawnNewPiece()).toBe(true);
+      expect(engine.gameState).toBe('playing');
+      expect(engine.isGridEmpty()).toBe(true);
+    });
+
+    test('should top out in marathon', () => {
+      engine.grid[0].fill('L');
+      engine.grid[1].fill('L');
+
+      expect(engine.spawnNewPiece()).toBe(false);
+      expect(engine.outcome).toBe('topOut');
+    });
+
+    test('should start cheese with garbage rows from the seed', () => {
+      engine = new GameEngine({ mode: 'cheese', seed: 3 });
+      const other = new GameEngine({ mode: 'cheese', seed: 3 });
+
+      expect(engine.getState().garbageRemaining).toBe(10);
+      expect(engine.getGrid()).toEqual(other.getGrid());
+    });
+  });
+
+  describe('T-spin detection', () => {
+    const fillRow = (y, gaps) => {
+      for (let x = 0; x < 10; x++) {
+        engine.grid[y][x] = gaps.includes(x) ? 0 : 'L';
+      }
+    };
+
+    const lockRotatedT = (x, y, rotation, kickIndex = 0, direction = 'cw') => {
+      engine.spawnPiece(new Tetromino('T'));
+      Object.assign(engine.currentPiece, { x, y, rotation });
+      engine.lastRotation = { direction, kickIndex };
+      engine.lockPiece();
+    };
+
+    beforeEach(() => {
+      engine = new GameEngine({ rules: 'infinity' });
+    });
+
+    test('should score a T-spin double', () => {
+      fillRow(19, [4]);
+      fillRow(18, [3, 4, 5]);
+      engine.grid[17][3] = 'L';
+      lockRotatedT(3, 17, 2);
+
+      const { lastClear } = engine.getState();
+      expect(lastClear.spin).toBe('tspin');
+      expect(lastClear.lines).toBe(2);
+      expect(lastClear.name).toBe('T-Spin Double');
+      expect(engine.score).toBe(1200);
+    });
+
+    test('should award a zero-line T-spin', () => {
+      engine.grid[17][3] = 'L';
+      engine.grid[19][3] = 'L';
+      engine.grid[19][5] = 'L';
+      lockRotatedT(3, 17, 2);
+
+      expect(engine.lastClear.name).toBe('T-Spin');
+      expect(engine.score).toBe(400);
+    });
+
+    test('should detect a T-spin mini with one front corner open', () => {
+      fillRow(19, [0, 1, 2]);
+      engine.grid[18][0] = 'L';
+      lockRotatedT(0, 18, 0);
+
+      expect(engine.lastClear.spin).toBe('mini');
+      expect(engine.lastClear.name).toBe('T-Spin Mini Single');
+      expect(engine.score).toBe(200);
+    });
+
+    test('should upgrade a mini when the last kick was used', () => {
+      fillRow(19, [0, 1, 2]);
+      engine.grid[18][0] = 'L';
+      lockRotatedT(0, 18, 0, 4);
+
+      expect(engine.lastClear.spin).toBe('tspin');
+    });
+
+    test('should not upgrade a mini on the fifth test of a 180 kick table', () => {
+      fillRow(19, [0, 1, 2]);
+      engine.grid[18][0] = 'L';
+      lockRotatedT(0, 18, 0, 4, '180');
+
+      expect(engine.lastClear.spin).toBe('mini');
+    });
+
+    test('should not count a T-spin after moving', () => {
+      fillRow(19, [4]);
+      fillRow(18, [3, 4, 5]);
+      engine.spawnPiece(new Tetromino('T'));
+      Object.assign(engine.currentPiece, { x: 3, y: 16, rotation: 2 });
+      engine.lastRotation = { direction: 'cw', kickIndex: 0 };
+      engine.movePiece('down');
+      engine.grid[17][3] = 'L';
+      engine.lockPiece();
+
+      expect(engine.lastClear.spin).toBeNull();
+      expect(engine.lastClear.name).toBe('Double');
+    });
+  });
+
+  test('should expose combo and perfect clear info in state', () => {
+    engine = new GameEngine({ rules: 'infinity' });
+    for (let x = 0; x < 10; x++) {
+      if (x < 4 || x > 7) engine.grid[19][x] = 'L';
+    }
+    engine.spawnPiece(new Tetromino('I'));
+    engine.currentPiece.x = 4;
+    engine.hardDrop();
+
+    const state = engine.getState();
+    expect(state.lastClear.perfectClear).toBe(true);
+    expect(state.combo).toBe(0);
+    expect(state.backToBack).toBe(false);
+    expect(state.scoring).toBe('guideline');
+  });
+
+  test('should report seed and randomizer in state', () => {
+    const seeded = new GameEngine({ seed: 99, randomizer: 'tgm' });
+    const state = seeded.getState();
+    expect(state.seed).toBe(99);
+    expect(state.randomizer).toBe('tgm');
+  });
 });
 
 describe('Tetromino', () => {
@@ -73,4 +756,12 @@ describe('Tetromino', () => {
     piece.rotate();
     expect(piece.rotation).toBe((initialRotation + 1) % 4);
   });
+
+  test('should rotate counter-clockwise and 180 degrees', () => {
+    const piece = new Tetromino('T');
+    piece.rotate(-1);
+    expect(piece.rotation).toBe(3);
+    piece.rotate(2);
+    expect(piece.rotation).toBe(1);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { GamepadInput, readControls } = require('../src/gamepad');
+const { InputHandler } = require('../src/input');
+
+// A standard-mapping pad with the named buttons held and the left stick at `axes`
+function createPad({ index = 0, id = 'Test Pad', pressed = [], axes = [0, 0] } = {}) {
+  const names = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right'];
+  return {
+    index,
+    id,
+    connected: true,
+    mapping: 'standard',
+    axes,
+    buttons: names.map(name => ({ pressed: pressed.includes(name) }))
+  };
+}
+
+describe('readControls', () => {
+  test('should name standard buttons and ignore the stick inside the deadzone', () => {
+    expect([...readControls(createPad({ pressed: ['A', 'Left'], axes: [0.3, -0.2] }))]).toEqual(['A', 'Left']);
+    expect([...readControls(createPad({ axes: [0.3, 0.8] }), 0.25)]).toEqual(['StickRight', 'StickDown']);
+  });
+
+  test('should fall back to button numbers for non-standard pads', () => {
+    const pad = { ...createPad({ pressed: ['B'] }), mapping: '' };
+    expect([...readControls(pad)]).toEqual(['Button1']);
+  });
+});
+
+describe('GamepadInput', () => {
+  let input;
+  let gamepads;
+
+  beforeEach(() => {
+    input = new InputHandler({ das: 100, arr: 50 });
+    gamepads = new GamepadInput(input);
+  });
+
+  test('should report presses and releases once per change', () => {
+    expect(gamepads.poll([createPad({ pressed: ['B'] })])).toEqual([
+      { action: { type: 'rotate', direction: 'cw' }, device: 'Test Pad', release: false }
+    ]);
+    expect(gamepads.poll([createPad({ pressed: ['B'] })])).toEqual([]);
+
+    gamepads.poll([createPad({ axes: [0, 1] })]);
+    expect(gamepads.poll([createPad()])).toEqual([
+      { action: { type: 'softDrop', active: false }, device: 'Test Pad', release: true }
+    ]);
+  });
+
+  test('should apply DAS to held directions', () => {
+    gamepads.poll([createPad({ pressed: ['Left'] })]);
+    const repeats = [];
+    for (let i = 0; i < 6; i++) repeats.push(...input.update());
+    expect(repeats).toEqual([{ type: 'move', direction: 'left', repeat: true }]);
+  });
+
+  test('should keep a layout per controller type', () => {
+    gamepads.poll([createPad(), createPad({ index: 1, id: 'Other Pad' })]);
+    gamepads.getBindings(1).bind('hardDrop', 'A');
+
+    const events = gamepads.poll([createPad({ pressed: ['A'] }), createPad({ index: 1, id: 'Other Pad', pressed: ['A'] })]);
+    expect(events.map(event => event.action.type)).toEqual(['rotate', 'drop']);
+    expect(gamepads.getSavedBindings()['Other Pad'].hardDrop).toEqual(['Up', 'a']);
+
+    const restored = new GamepadInput(new InputHandler(), { bindings: gamepads.getSavedBindings() });
+    restored.connect({ index: 0, id: 'Other Pad' });
+    expect(restored.getBindings(0).getActionName('A')).toBe('hardDrop');
+  });
+
+  test('should release held controls when a pad is unplugged', () => {
+    gamepads.poll([createPad({ pressed: ['Down'] })]);
+    expect(gamepads.disconnect({ index: 0 })).toEqual([
+      { action: { type: 'softDrop', active: false }, device: 'Test Pad', release: true }
+    ]);
+    expect(gamepads.pads.size).toBe(0);
+
+    gamepads.poll([createPad({ pressed: ['Left'] })]);
+    expect(gamepads.poll([null])).toEqual([]);
+    expect(input.shift).toBeNull();
+  });
+
+  test('should hand the next press to a capture instead of the game', () => {
+    const captured = [];
+    gamepads.poll([createPad()]);
+    gamepads.captureNext(0, control => captured.push(control));
+
+    expect(gamepads.poll([createPad({ pressed: ['Y'] })])).toEqual([]);
+    expect(captured).toEqual(['Y']);
+    expect(() => gamepads.setDeadzone(1)).toThrow('Invalid gamepad deadzone: 1');
+  });
+});
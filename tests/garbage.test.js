@@ -0,0 +1,56 @@
+const { calculateAttack, GarbageQueue, GARBAGE_CELL } = require('../src/garbage');
+const { SeededRandom } = require('../src/randomizer');
+
+describe('calculateAttack', () => {
+  test('should send lines from the attack table', () => {
+    expect(calculateAttack({ lines: 1, combo: 0 })).toBe(0);
+    expect(calculateAttack({ lines: 4, combo: 0 })).toBe(4);
+    expect(calculateAttack({ lines: 2, spin: 'tspin', combo: 0 })).toBe(4);
+  });
+
+  test('should add back-to-back, combo and perfect clear bonuses', () => {
+    expect(calculateAttack({ lines: 4, combo: 0, backToBack: true })).toBe(5);
+    expect(calculateAttack({ lines: 2, combo: 4 })).toBe(3);
+    expect(calculateAttack({ lines: 1, combo: 0, perfectClear: true })).toBe(10);
+  });
+});
+
+describe('GarbageQueue', () => {
+  const createQueue = options => new GarbageQueue(new SeededRandom(1), options);
+
+  test('should cancel the oldest garbage first and return the remainder', () => {
+    const queue = createQueue();
+    queue.receive(2);
+    queue.receive(3);
+
+    expect(queue.cancel(3)).toBe(0);
+    expect(queue.getPending()).toBe(2);
+    expect(queue.cancel(4)).toBe(2);
+    expect(queue.getPending()).toBe(0);
+  });
+
+  test('should hold garbage back until the delay elapses', () => {
+    const queue = createQueue({ delay: 500 });
+    queue.receive(2);
+
+    expect(queue.takeReadyRows()).toHaveLength(0);
+    queue.update(500);
+    const rows = queue.takeReadyRows();
+    expect(rows).toHaveLength(2);
+    expect(rows[0].filter(cell => cell === GARBAGE_CELL)).toHaveLength(9);
+  });
+
+  test('should keep a single well with the clean pattern', () => {
+    const queue = createQueue({ pattern: 'clean' });
+    queue.receive(2);
+    queue.receive(2);
+
+    const holes = queue.takeReadyRows().map(row => row.indexOf(0));
+    expect(new Set(holes).size).toBe(1);
+  });
+
+  test('should reject unknown patterns and attack tables', () => {
+    expect(() => createQueue({ pattern: 'swiss' })).toThrow('Unknown garbage pattern: swiss');
+    expect(() => createQueue({ attackTable: 'ppt' })).toThrow('Unknown attack table: ppt');
+  });
+});
@@ -0,0 +1,38 @@
+const { MAX_GRAVITY, getGravity, getLevel } = require('../src/gravity');
+
+describe('getGravity', () => {
+  test('should convert each curve to G at level 1', () => {
+    expect(getGravity('linear', 1)).toBeCloseTo(1 / 60);
+    expect(getGravity('guideline', 1)).toBeCloseTo(1 / 60);
+    expect(getGravity('nes', 1)).toBeCloseTo(1 / 48);
+    expect(getGravity('20g', 1)).toBe(MAX_GRAVITY);
+  });
+
+  test('should speed up with level and hold the last entry past the table', () => {
+    expect(getGravity('guideline', 10)).toBeGreaterThan(getGravity('guideline', 5));
+    expect(getGravity('nes', 30)).toBe(1);
+    expect(getGravity('nes', 40)).toBe(getGravity('nes', 30));
+    expect(getGravity('guideline', 25)).toBe(MAX_GRAVITY);
+  });
+
+  test('should reject unknown curves', () => {
+    expect(() => getGravity('moon', 1)).toThrow('Unknown gravity curve: moon');
+  });
+});
+
+describe('getLevel', () => {
+  test('should level up every 10 lines from the starting level', () => {
+    expect(getLevel(0)).toBe(1);
+    expect(getLevel(25)).toBe(3);
+    expect(getLevel(25, 5)).toBe(7);
+  });
+
+  test('should delay the first NES level-up for high starting levels', () => {
+    // NES level 9: first transition after 100 lines, then every 10
+    expect(getLevel(99, 10, 'nes')).toBe(10);
+    expect(getLevel(100, 10, 'nes')).toBe(11);
+    expect(getLevel(110, 10, 'nes')).toBe(12);
+    // NES level 0 behaves like the fixed progression
+    expect(getLevel(10, 1, 'nes')).toBe(getLevel(10, 1));
+  });
+});
@@ -0,0 +1,100 @@
+const { InputHandler, bufferInputs, resolveHandling, HANDLING_DEFAULTS } = require('../src/input');
+
+// Runs the handler for a number of ticks and collects every repeat it produced
+function runTicks(input, ticks) {
+  const actions = [];
+  for (let i = 0; i < ticks; i++) actions.push(...input.update());
+  return actions;
+}
+
+describe('resolveHandling', () => {
+  test('should fill in defaults and reject invalid settings', () => {
+    expect(resolveHandling({ arr: 0 })).toEqual({ ...HANDLING_DEFAULTS, arr: 0 });
+    expect(() => resolveHandling({ das: -1 })).toThrow('Invalid handling setting das: -1');
+    expect(() => resolveHandling({ softDropFactor: 0.5 })).toThrow('Invalid handling setting softDropFactor: 0.5');
+  });
+});
+
+describe('InputHandler', () => {
+  let input;
+
+  beforeEach(() => {
+    input = new InputHandler({ das: 100, arr: 50 });
+  });
+
+  test('should report each press once and ignore key repeat', () => {
+    expect(input.keyDown('ArrowLeft')).toEqual({ type: 'move', direction: 'left' });
+    expect(input.keyDown('ArrowLeft')).toBeNull();
+    input.keyUp('ArrowLeft');
+    expect(input.keyDown('ArrowLeft')).toEqual({ type: 'move', direction: 'left' });
+    expect(input.keyDown('q')).toBeNull();
+  });
+
+  test('should auto-repeat after DAS at the ARR', () => {
+    input.keyDown('ArrowRight');
+    // 100ms DAS is 6 ticks, then one move every 50ms (3 ticks)
+    expect(runTicks(input, 5)).toEqual([]);
+    expect(runTicks(input, 1)).toEqual([{ type: 'move', direction: 'right', repeat: true }]);
+    expect(runTicks(input, 6)).toHaveLength(2);
+
+    input.keyUp('ArrowRight');
+    expect(runTicks(input, 10)).toEqual([]);
+  });
+
+  test('should slide to the wall once per piece with 0 ARR', () => {
+    input.setHandling({ arr: 0 });
+    input.keyDown('ArrowLeft');
+    expect(runTicks(input, 6)).toEqual([{ type: 'move', direction: 'left', toWall: true, repeat: true }]);
+    // Holding the key doesn't flood the input log with slides that do nothing
+    expect(runTicks(input, 600)).toEqual([]);
+
+    input.cutDas();
+    expect(runTicks(input, 10)).toEqual([{ type: 'move', direction: 'left', toWall: true, repeat: true }]);
+  });
+
+  test('should hand over to the other direction with a fresh DAS', () => {
+    input.keyDown('ArrowLeft');
+    runTicks(input, 10);
+    input.keyDown('ArrowRight');
+    input.keyUp('ArrowRight');
+    expect(input.shift).toEqual({ direction: 'left', ticks: 0, repeats: 0 });
+    expect(runTicks(input, 5)).toEqual([]);
+  });
+
+  test('should pause auto-repeat for the DAS cut after a spawn', () => {
+    input.setHandling({ dasCut: 50 });
+    input.keyDown('ArrowLeft');
+    runTicks(input, 6);
+    input.cutDas();
+    expect(runTicks(input, 3)).toEqual([]);
+    expect(runTicks(input, 3)).toHaveLength(1);
+  });
+
+  test('should carry the soft drop factor and stop on release', () => {
+    input.setHandling({ softDropFactor: 40 });
+    expect(input.keyDown('ArrowDown')).toEqual({ type: 'softDrop', active: true, factor: 40 });
+    expect(input.keyUp('ArrowDown')).toEqual({ type: 'softDrop', active: false });
+
+    input.keyDown('ArrowDown');
+    expect(input.releaseAll()).toEqual([{ type: 'softDrop', active: false }]);
+  });
+});
+
+describe('bufferInputs', () => {
+  const rotate = { type: 'rotate', direction: 'cw' };
+  const repeat = { type: 'move', direction: 'left', repeat: true };
+
+  test('should pass everything through while a piece is falling', () => {
+    const engine = { currentPiece: {}, phase: 'falling' };
+    expect(bufferInputs([rotate], [repeat], engine)).toEqual([rotate, repeat]);
+  });
+
+  test('should buffer presses and drop repeats and hard drops between pieces', () => {
+    const engine = { currentPiece: null, phase: 'entry' };
+    const softDrop = { type: 'softDrop', active: true };
+    expect(bufferInputs([rotate, { type: 'drop' }, softDrop], [repeat], engine)).toEqual([
+      { ...rotate, buffered: true },
+      softDrop
+    ]);
+  });
+});
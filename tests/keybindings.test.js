@@ -0,0 +1,69 @@
+const { KeyBindings, DEFAULT_BINDINGS, formatKey } = require('../src/keybindings');
+
+describe('KeyBindings', () => {
+  let bindings;
+
+  beforeEach(() => {
+    bindings = new KeyBindings();
+  });
+
+  test('should map keys to actions case-insensitively', () => {
+    expect(bindings.getActionName('X')).toBe('rotateCW');
+    expect(bindings.getAction('ArrowLeft')).toEqual({ type: 'move', direction: 'left' });
+    expect(bindings.getAction('r')).toEqual({ type: 'restart' });
+    expect(bindings.getAction('q')).toBeNull();
+  });
+
+  test('should support several keys per action', () => {
+    bindings.bind('hardDrop', 'w');
+    expect(bindings.getKeys('hardDrop')).toEqual([' ', 'w']);
+    expect(bindings.getActionName('W')).toBe('hardDrop');
+  });
+
+  test('should move a key that was bound elsewhere and report the conflict', () => {
+    expect(bindings.bind('hold', 'z')).toEqual(['rotateCCW']);
+    expect(bindings.getKeys('rotateCCW')).toEqual(['Control']);
+    expect(bindings.getActionName('z')).toBe('hold');
+    expect(() => bindings.bind('teleport', 'q')).toThrow('Unknown action: teleport');
+  });
+
+  test('should report unbound actions and reset to defaults', () => {
+    bindings.unbind('pause', 'Escape');
+    bindings.unbind('pause', 'p');
+    expect(bindings.getUnbound()).toEqual(['pause']);
+
+    bindings.reset();
+    expect(bindings.toJSON()).toEqual(DEFAULT_BINDINGS);
+  });
+
+  test('should round-trip through exported JSON', () => {
+    bindings.bind('hold', 'v');
+    const imported = new KeyBindings();
+    expect(imported.import(bindings.export())).toEqual([]);
+    expect(imported.getKeys('hold')).toEqual(['c', 'Shift', 'v']);
+  });
+
+  test('should flag conflicts in imports and reject invalid files', () => {
+    expect(bindings.import(JSON.stringify({ hold: ['x'] }))).toEqual([{ key: 'x', actions: ['rotateCW', 'hold'] }]);
+    expect(() => bindings.import('{')).toThrow('Invalid key bindings: not valid JSON');
+    expect(() => bindings.import('{"fly": ["f"]}')).toThrow('Unknown action: fly');
+    expect(() => bindings.import('{"hold": "c"}')).toThrow('Invalid keys for hold: expected an array of key names');
+    expect(bindings.getKeys('hold')).toEqual(['x']);
+  });
+
+  test('should summarize the bound keys for the controls panel', () => {
+    expect(bindings.getSummary()).toEqual([
+      '← → ↓ Move', '↑ / X Rotate CW', 'Z / Ctrl Rotate CCW', 'A Rotate 180°', 'Space Drop', 'C / Shift Hold', 'U Y Undo / Redo'
+    ]);
+
+    bindings.import(JSON.stringify({ hold: ['v'], rotate180: [] }));
+    expect(bindings.getSummary()).toContain('V Hold');
+    expect(bindings.getSummary().some(line => line.endsWith('Rotate 180°'))).toBe(false);
+  });
+
+  test('should format keys for display', () => {
+    expect(formatKey(' ')).toBe('Space');
+    expect(formatKey('z')).toBe('Z');
+    expect(formatKey('Shift')).toBe('Shift');
+  });
+});
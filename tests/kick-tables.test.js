@@ -0,0 +1,30 @@
+const { getKicks, KICK_SYSTEMS } = require('../src/kick-tables');
+
+describe('getKicks', () => {
+  test('should never kick the O piece', () => {
+    expect(getKicks('srs', 'O', 0, 1)).toEqual([{ x: 0, y: 0 }]);
+  });
+
+  test('should convert SRS offsets to grid coordinates', () => {
+    const kicks = getKicks('srs', 'T', 0, 1);
+    expect(kicks).toHaveLength(5);
+    // Published (-1, +1) is one left and one row up the grid
+    expect(kicks[2]).toEqual({ x: -1, y: -1 });
+    expect(kicks[3]).toEqual({ x: 0, y: 2 });
+  });
+
+  test('should use different tables for clockwise and counter-clockwise', () => {
+    expect(getKicks('srs', 'T', 0, 1)).not.toEqual(getKicks('srs', 'T', 0, 3));
+    expect(getKicks('srs', 'I', 0, 1)).not.toEqual(getKicks('srs', 'T', 0, 1));
+  });
+
+  test('should only kick 180 rotations under SRS+', () => {
+    expect(getKicks('srs', 'T', 0, 2)).toEqual([{ x: 0, y: 0 }]);
+    expect(getKicks('srsPlus', 'T', 0, 2)).toHaveLength(6);
+    expect(Object.keys(KICK_SYSTEMS)).toEqual(['srs', 'srsPlus']);
+  });
+
+  test('should throw on unknown rotation system', () => {
+    expect(() => getKicks('ars', 'T', 0, 1)).toThrow('Unknown rotation system: ars');
+  });
+});
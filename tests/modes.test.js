@@ -0,0 +1,43 @@
+const { createMode, formatTime } = require('../src/modes');
+const { GARBAGE_CELL } = require('../src/garbage');
+const { SeededRandom } = require('../src/randomizer');
+
+describe('createMode', () => {
+  test('should default to an endless marathon', () => {
+    const mode = createMode();
+    expect(mode.type).toBe('marathon');
+    expect(mode.checkCompletion({ lines: 500, elapsedTime: 1e9, grid: [] })).toBeNull();
+  });
+
+  test('should throw on unknown mode', () => {
+    expect(() => createMode('survival')).toThrow('Unknown game mode: survival');
+  });
+
+  test('should complete sprint at 40 lines and end ultra after two minutes', () => {
+    expect(createMode('sprint').checkCompletion({ lines: 40, elapsedTime: 0 })).toBe('completed');
+    expect(createMode('ultra').checkCompletion({ lines: 0, elapsedTime: 120000 })).toBe('timeUp');
+  });
+
+  test('should build cheese rows with one hole each', () => {
+    const grid = Array(20).fill().map(() => Array(10).fill(0));
+    createMode('cheese').setupBoard(grid, new SeededRandom(7));
+
+    const garbage = grid.filter(row => row.includes(GARBAGE_CELL));
+    expect(garbage).toHaveLength(10);
+    garbage.forEach(row => expect(row.filter(cell => cell === 0)).toHaveLength(1));
+    expect(grid[9].every(cell => cell === 0)).toBe(true);
+  });
+
+  test('should rank timed modes by fastest completion', () => {
+    const sprint = createMode('sprint');
+    const results = [{ time: 90000, score: 10 }, { time: 60000, score: 5 }];
+    results.sort((a, b) => sprint.compareResults(a, b));
+    expect(results[0].time).toBe(60000);
+    expect(sprint.qualifies({ outcome: 'topOut' })).toBe(false);
+    expect(createMode('marathon').qualifies({ outcome: 'topOut' })).toBe(true);
+  });
+
+  test('should format times as m:ss.t', () => {
+    expect(formatTime(83456)).toBe('1:23.4');
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { parsePuzzle, describeGoal } = require('../src/puzzles');
+const { GameEngine } = require('../src/game-engine');
+const { AIPredictorAgent } = require('../agents/ai-predictor-agent');
+
+const PUZZLE_DIR = path.join(__dirname, '..', 'public', 'puzzles');
+
+const WELL = {
+  id: 'well',
+  grid: [
+    'GGGGGGGGG.',
+    'GGGGGGGGG.'
+  ],
+  pieces: ['I', 'O'],
+  goal: { type: 'lines', lines: 2 }
+};
+
+const dropAt = (engine, x, rotation) => {
+  Object.assign(engine.currentPiece, { x, y: 0, rotation });
+  engine.hardDrop();
+  while (engine.gameState === 'playing' && !engine.currentPiece) engine.tick();
+};
+
+describe('parsePuzzle', () => {
+  test('should fill in defaults', () => {
+    const puzzle = parsePuzzle(WELL);
+    expect(puzzle.name).toBe('well');
+    expect(puzzle.hold).toBe(true);
+    expect(puzzle.maxPieces).toBe(2);
+  });
+
+  test('should reject bad pieces, cells and goals', () => {
+    expect(() => parsePuzzle({ ...WELL, pieces: ['Q'] })).toThrow('Unknown puzzle piece: Q');
+    expect(() => parsePuzzle({ ...WELL, grid: ['GGGG?GGGG.'] })).toThrow('Unknown puzzle cell: ?');
+    expect(() => parsePuzzle({ ...WELL, goal: { type: 'score' } })).toThrow('Unknown puzzle goal: score');
+    expect(() => parsePuzzle({ ...WELL, pieces: [] })).toThrow('Invalid puzzle well: no pieces');
+  });
+
+  test('should describe goals', () => {
+    expect(describeGoal({ type: 'lines', lines: 4 })).toBe('Clear 4 lines');
+    expect(describeGoal({ type: 'tspin', lines: 2 })).toBe('T-Spin Double');
+    expect(describeGoal({ type: 'perfectClear' })).toBe('Perfect Clear');
+  });
+});
+
+describe('puzzle games', () => {
+  test('should load the board bottom-aligned and deal the fixed sequence', () => {
+    const engine = new GameEngine({ puzzle: WELL });
+    engine.spawnNewPiece();
+
+    expect(engine.modeType).toBe('puzzle');
+    expect(engine.grid[19].join('')).toBe('GGGGGGGGG0');
+    expect(engine.grid[17].every(cell => cell === 0)).toBe(true);
+    expect(engine.currentPiece.type).toBe('I');
+    expect(engine.nextPieces.map(piece => piece.type)).toEqual(['O']);
+    expect(engine.getState().puzzle).toEqual({ id: 'well', name: 'well', goal: 'Clear 2 lines' });
+  });
+
+  test('should complete when the goal is met', () => {
+    const engine = new GameEngine({ puzzle: WELL });
+    engine.spawnNewPiece();
+    dropAt(engine, 7, 1);
+
+    expect(engine.outcome).toBe('completed');
+  });
+
+  test('should fail once the pieces run out', () => {
+    const engine = new GameEngine({ puzzle: WELL });
+    engine.spawnNewPiece();
+    dropAt(engine, 0, 0);
+    expect(engine.gameState).toBe('playing');
+    dropAt(engine, 4, 0);
+
+    expect(engine.outcome).toBe('failed');
+    expect(engine.mode.qualifies({ outcome: 'failed' })).toBe(false);
+  });
+
+  test('should play the held piece last and respect disabled hold', () => {
+    const engine = new GameEngine({ puzzle: WELL });
+    engine.spawnNewPiece();
+    expect(engine.holdCurrentPiece()).toBe(true);
+    expect(engine.holdCurrentPiece()).toBe(false);
+    dropAt(engine, 0, 0);
+    expect(engine.currentPiece.type).toBe('I');
+    expect(engine.holdPiece).toBeNull();
+
+    const noHold = new GameEngine({ puzzle: { ...WELL, hold: false } });
+    noHold.spawnNewPiece();
+    expect(noHold.holdCurrentPiece()).toBe(false);
+  });
+
+  test('should survive a snapshot round trip', () => {
+    const engine = new GameEngine({ puzzle: WELL });
+    engine.spawnNewPiece();
+    const restored = GameEngine.fromSnapshot(JSON.parse(JSON.stringify(engine.serialize())));
+
+    expect(restored.getState()).toEqual(engine.getState());
+    dropAt(restored, 7, 1);
+    expect(restored.outcome).toBe('completed');
+  });
+});
+
+describe('bundled puzzles', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(PUZZLE_DIR, 'index.json'), 'utf8'));
+
+  test.each(manifest.map(entry => [entry.id, entry]))('%s should parse and be solvable', async (id, entry) => {
+    const puzzle = JSON.parse(fs.readFileSync(path.join(PUZZLE_DIR, entry.file), 'utf8'));
+
+    expect(parsePuzzle(puzzle).id).toBe(id);
+    const result = await new AIPredictorAgent().handleMessage({ type: 'VALIDATE_PUZZLE', payload: { puzzle } });
+    expect(result.solvable).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+const { SeededRandom, createRandomizer, PIECE_TYPES } = require('../src/randomizer');
+
+describe('SeededRandom', () => {
+  test('should produce identical sequences for the same seed', () => {
+    const a = new SeededRandom(12345);
+    const b = new SeededRandom(12345);
+    for (let i = 0; i < 20; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('should stay within range', () => {
+    const rng = new SeededRandom(1);
+    for (let i = 0; i < 100; i++) {
+      const value = rng.nextInt(7);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(7);
+    }
+  });
+});
+
+describe('Randomizers', () => {
+  const take = (randomizer, count) => Array.from({ length: count }, () => randomizer.next());
+
+  test('should repeat the sequence for the same seed', () => {
+    for (const strategy of ['bag7', 'bag14', 'nes', 'tgm', 'random']) {
+      expect(take(createRandomizer(strategy, 42), 50)).toEqual(take(createRandomizer(strategy, 42), 50));
+    }
+  });
+
+  test('should deal every piece once per 7-bag', () => {
+    const sequence = take(createRandomizer('bag7', 7), 28);
+    for (let i = 0; i < sequence.length; i += 7) {
+      expect([...sequence.slice(i, i + 7)].sort()).toEqual([...PIECE_TYPES].sort());
+    }
+  });
+
+  test('should deal every piece twice per 14-bag', () => {
+    const sequence = take(createRandomizer('bag14', 7), 14);
+    PIECE_TYPES.forEach(type => {
+      expect(sequence.filter(piece => piece === type)).toHaveLength(2);
+    });
+  });
+
+  test('should never open with S, Z or O in TGM mode', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      expect(['S', 'Z', 'O']).not.toContain(createRandomizer('tgm', seed).next());
+    }
+  });
+
+  test('should continue the same sequence after a serialize/restore round trip', () => {
+    for (const strategy of ['bag7', 'bag14', 'nes', 'tgm', 'random']) {
+      const original = createRandomizer(strategy, 42);
+      take(original, 10);
+      const restored = createRandomizer(strategy, 1);
+      restored.restore(JSON.parse(JSON.stringify(original.serialize())));
+      expect(take(restored, 30)).toEqual(take(original, 30));
+    }
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => createRandomizer('bogus', 1)).toThrow('Unknown randomizer: bogus');
+  });
+});
@@ -0,0 +1,38 @@
+const { encodeGrid, decodeGrid, encodeFrame, decodeFrame, encodePanel, decodePanel } = require('../src/render-protocol');
+const { GameEngine } = require('../src/game-engine');
+
+describe('render protocol', () => {
+  test('should pack grid rows into strings', () => {
+    const grid = [[0, 'I', 0], ['G', 0, 'T']];
+    expect(encodeGrid(grid)).toEqual(['.I.', 'G.T']);
+    expect(decodeGrid(encodeGrid(grid))).toEqual(grid);
+  });
+
+  test('should round-trip what render draws', () => {
+    const engine = new GameEngine({ seed: 3 });
+    engine.spawnNewPiece();
+    const state = engine.getState();
+
+    const message = encodeFrame(state);
+    expect(message.type).toBe('frame');
+    expect(message.piece).toEqual([state.currentPiece.type, state.currentPiece.x, state.currentPiece.y, 0]);
+
+    const frame = decodeFrame(JSON.parse(JSON.stringify(message)));
+    expect(frame.grid).toEqual(state.grid);
+    expect(frame.currentPiece).toEqual(state.currentPiece);
+    expect(frame.board).toEqual(state.board);
+  });
+
+  test('should round-trip what renderUI draws', () => {
+    const engine = new GameEngine({ seed: 3, mode: 'sprint' });
+    engine.spawnNewPiece();
+    engine.holdCurrentPiece();
+    const state = engine.getState();
+
+    const panel = decodePanel(encodePanel(state));
+    expect(panel.nextPieces).toEqual(state.nextPieces.slice(0, 3));
+    expect(panel.holdPiece).toEqual(state.holdPiece);
+    expect(panel.linesRemaining).toBe(state.linesRemaining);
+    expect(panel.score).toBe(state.score);
+  });
+});
@@ -14,7 +14,11 @@ const mockContext = {
   stroke: jest.fn(),
   save: jest.fn(),
   restore: jest.fn(),
-  clearRect: jest.fn()
+  clearRect: jest.fn(),
+  setTransform: jest.fn(),
+  drawImage: jest.fn(),
+  fillText: jest.fn(),
+  setLineDash: jest.fn()
 };
 
 const mockCanvas = {
@@ -41,6 +45,11 @@ describe('Renderer', () => {
     expect(renderer.theme).toBe('dark');
   });
 
+  test('should reject themes that are not registered', () => {
+    expect(() => renderer.setTheme('neon')).toThrow('Unknown theme: neon');
+    expect(renderer.theme).toBe('win95');
+  });
+
   test('should clear canvas', () => {
     renderer.clearCanvas();
     expect(mockContext.fillRect).toHaveBeenCalled();
@@ -50,4 +59,164 @@ describe('Renderer', () => {
     renderer.renderBlock(0, 0, 'I');
     expect(mockContext.fillRect).toHaveBeenCalled();
   });
-});
\ No newline at end of file
+
+  describe('layout', () => {
+    const createCanvas = () => ({ style: {}, getContext: () => mockContext });
+
+    test('should size the backing store by the pixel ratio', () => {
+      const canvas = createCanvas();
+      const highDpi = new Renderer(canvas);
+      highDpi.layout({ width: 2000, height: 600 }, null, 2);
+
+      expect(highDpi.blockSize).toBe(30);
+      expect(canvas.width).toBe(600);
+      expect(canvas.height).toBe(1200);
+      expect(canvas.style.width).toBe('300px');
+      expect(mockContext.setTransform).toHaveBeenLastCalledWith(2, 0, 0, 2, 0, 0);
+    });
+
+    test('should fit the board and panel into the container', () => {
+      const panel = createCanvas();
+      const small = new Renderer(createCanvas());
+      // 10 columns plus the panel's 6.67 blocks across 260px
+      small.layout({ width: 260, height: 800 }, panel, 1);
+
+      expect(small.blockSize).toBe(15);
+      expect(panel.style.width).toBe('100px');
+      expect(panel.style.height).toBe('300px');
+    });
+
+    test('should keep blocks on whole device pixels', () => {
+      const fractional = new Renderer(createCanvas());
+      fractional.layout({ width: 2000, height: 500 }, null, 1.5);
+
+      expect(fractional.blockSize * 1.5).toBe(Math.floor(fractional.blockSize * 1.5));
+      expect(fractional.blockSize).toBeLessThanOrEqual(25);
+    });
+
+    test('should re-layout when the board changes', () => {
+      const canvas = createCanvas();
+      const resized = new Renderer(canvas);
+      resized.layout({ width: 2000, height: 600 }, null, 1);
+      resized.setBoard({ width: 10, height: 40 });
+
+      expect(resized.blockSize).toBe(15);
+      expect(canvas.height).toBe(600);
+    });
+  });
+
+  describe('layers', () => {
+    const createContext = () => ({
+      ...mockContext,
+      fillRect: jest.fn(),
+      stroke: jest.fn(),
+      setTransform: jest.fn(),
+      setLineDash: jest.fn()
+    });
+    const emptyGrid = () => Array.from({ length: 20 }, () => Array(10).fill(0));
+    const state = (grid) => ({
+      grid, currentPiece: null, pendingGarbage: 0, gameState: 'playing',
+      score: 0, level: 1, lines: 0, lastClear: null, combo: 0, nextPieces: [], holdPiece: null, canHold: true
+    });
+    let layers;
+
+    beforeEach(() => {
+      layers = [];
+      global.OffscreenCanvas = class {
+        constructor(width, height) {
+          this.width = width;
+          this.height = height;
+          this.ctx = createContext();
+          layers.push(this);
+        }
+
+        getContext() {
+          return this.ctx;
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete global.OffscreenCanvas;
+    });
+
+    test('should draw the grid lines once and the stack only when the grid changes', () => {
+      const grid = emptyGrid();
+      renderer.render(state(grid));
+      renderer.render(state(emptyGrid()));
+
+      const [stack, lines] = layers;
+      expect(layers).toHaveLength(2);
+      expect(stack.ctx.fillRect).toHaveBeenCalledTimes(1);
+      expect(lines.ctx.stroke).toHaveBeenCalledTimes(32);
+
+      grid[19][0] = 'I';
+      renderer.render(state(grid));
+      expect(stack.ctx.fillRect).toHaveBeenCalledTimes(3); // Background and the new block
+      expect(lines.ctx.stroke).toHaveBeenCalledTimes(32);
+    });
+
+    test('should rebuild the layers when the theme changes', () => {
+      renderer.render(state(emptyGrid()));
+      renderer.setTheme('dark');
+      renderer.render(state(emptyGrid()));
+      expect(layers).toHaveLength(4);
+    });
+
+    test('should draw grid lines in the theme\'s style', () => {
+      const { palette } = renderer.themes.get('dark');
+      renderer.themes.register({ id: 'dashed', palette, grid: { style: 'dashed' } });
+      renderer.themes.register({ id: 'bare', palette, grid: { style: 'none' } });
+
+      renderer.setTheme('dashed');
+      renderer.render(state(emptyGrid()));
+      expect(layers[1].ctx.setLineDash).toHaveBeenCalledWith([7.5, 7.5]);
+
+      renderer.setTheme('bare');
+      renderer.render(state(emptyGrid()));
+      expect(layers[3].ctx.stroke).not.toHaveBeenCalled();
+    });
+
+    test('should report each frame\'s drawing time', () => {
+      const onRenderTime = jest.fn();
+      renderer.onRenderTime = onRenderTime;
+      renderer.renderUI(state(emptyGrid()), { getContext: () => createContext() });
+      renderer.render(state(emptyGrid()));
+      renderer.render();
+      expect(onRenderTime).toHaveBeenCalledTimes(1);
+      expect(onRenderTime.mock.calls[0][0]).toBeGreaterThanOrEqual(0);
+      expect(renderer.panelTime).toBe(0);
+    });
+
+    test('should fit every preview the rules ask for into the Next box', () => {
+      const renderMiniPiece = jest.spyOn(renderer, 'renderMiniPiece');
+      const shape = [[1, 1], [1, 1]];
+      const nextPieces = Array.from({ length: 6 }, () => ({ type: 'O', shape }));
+      renderer.renderUI({ ...state(emptyGrid()), nextPieces }, { getContext: () => createContext() });
+
+      const previews = renderMiniPiece.mock.calls.slice(0, 6);
+      expect(previews.map(([, , , y]) => y)).toEqual([170, 200, 230, 260, 290, 320]);
+      expect(previews.every(([, , , , size]) => size === 7)).toBe(true);
+    });
+
+    test('should list the player\'s key bindings in the Controls panel', () => {
+      const ctx = createContext();
+      ctx.fillText = jest.fn();
+      const panel = { getContext: () => ctx };
+      renderer.renderUI(state(emptyGrid()), panel);
+      expect(ctx.fillText).toHaveBeenCalledWith('C / Shift Hold', 20, 545);
+
+      ctx.fillText.mockClear();
+      expect(renderer.renderUI({ ...state(emptyGrid()), controls: ['V Hold'] }, panel)).toBe(true);
+      expect(ctx.fillText).toHaveBeenCalledWith('V Hold', 20, 470);
+      expect(ctx.fillText).not.toHaveBeenCalledWith('C / Shift Hold', 20, 545);
+    });
+
+    test('should only repaint the UI panel when its values change', () => {
+      const panel = { getContext: () => createContext() };
+      expect(renderer.renderUI(state(emptyGrid()), panel)).toBe(true);
+      expect(renderer.renderUI(state(emptyGrid()), panel)).toBe(false);
+      expect(renderer.renderUI({ ...state(emptyGrid()), score: 100 }, panel)).toBe(true);
+    });
+  });
+});
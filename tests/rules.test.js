@@ -0,0 +1,69 @@
+const { resolveRules, RULES_PRESETS } = require('../src/rules');
+
+describe('resolveRules', () => {
+  test('should default to guideline rules', () => {
+    const rules = resolveRules();
+    expect(rules.preset).toBe('guideline');
+    expect(rules.lockDelay).toBe(RULES_PRESETS.guideline.lockDelay);
+  });
+
+  test('should treat null like no rules', () => {
+    expect(resolveRules(null)).toEqual(resolveRules());
+  });
+
+  test('should resolve a preset by name', () => {
+    const rules = resolveRules('classic');
+    expect(rules.lockDelay).toBe(0);
+    expect(rules.entryDelay).toBe(RULES_PRESETS.classic.entryDelay);
+  });
+
+  test('should apply overrides on top of a preset', () => {
+    const rules = resolveRules({ preset: 'tgm', lockDelay: 250 });
+    expect(rules.lockDelay).toBe(250);
+    expect(rules.lockReset).toBe('step');
+  });
+
+  test('should default to a centred 10x20 board', () => {
+    const rules = resolveRules({ width: 6, hiddenRows: 20 });
+    expect(resolveRules().spawnX).toBe(4);
+    expect(rules.spawnX).toBe(2);
+    expect(rules.height).toBe(20);
+    expect(() => resolveRules({ width: 3 })).toThrow('Invalid board size: 3x20+0');
+  });
+
+  test('should validate delays and the soft drop factor', () => {
+    expect(resolveRules({ lockDelay: 0, entryDelay: 16.7, softDropFactor: 1 }).entryDelay).toBe(16.7);
+    expect(() => resolveRules({ lockDelay: -1 })).toThrow('Invalid lockDelay: -1');
+    expect(() => resolveRules({ entryDelay: 'x' })).toThrow('Invalid entryDelay: x');
+    expect(() => resolveRules({ lineClearDelay: Infinity })).toThrow('Invalid lineClearDelay: Infinity');
+    expect(() => resolveRules({ softDropFactor: 0 })).toThrow('Invalid soft drop factor: 0');
+  });
+
+  test('should reject unknown presets and reset modes', () => {
+    expect(() => resolveRules('bogus')).toThrow('Unknown rules preset: bogus');
+    expect(() => resolveRules({ lockReset: 'never' })).toThrow('Invalid lock reset mode: never');
+  });
+
+  test('should validate gravity settings', () => {
+    expect(resolveRules('classic').gravityCurve).toBe('nes');
+    expect(() => resolveRules({ gravityCurve: 'moon' })).toThrow('Unknown gravity curve: moon');
+    expect(() => resolveRules({ levelProgression: 'tgm' })).toThrow('Invalid level progression: tgm');
+  });
+
+  test('should validate the rotation system, preview count and spawn row', () => {
+    expect(resolveRules({ rotationSystem: 'srsPlus', previewCount: 6, hiddenRows: 2, spawnY: -2 }).spawnY).toBe(-2);
+    expect(() => resolveRules({ rotationSystem: 'ars' })).toThrow('Unknown rotation system: ars');
+    expect(() => resolveRules({ previewCount: 7 })).toThrow('Invalid preview count: 7');
+    expect(() => resolveRules({ previewCount: '3' })).toThrow('Invalid preview count: 3');
+    expect(() => resolveRules({ spawnY: -1 })).toThrow('Invalid spawn row: -1');
+  });
+
+  test('should reject fractional, oversized and off-board layouts', () => {
+    expect(resolveRules({ width: 40, height: 40, hiddenRows: 40, spawnX: 36 }).spawnX).toBe(36);
+    expect(() => resolveRules({ width: 1e5, height: 1e5 })).toThrow('Invalid board size: 100000x100000+0');
+    expect(() => resolveRules({ width: 10.5 })).toThrow('Invalid board size: 10.5x20+0');
+    expect(() => resolveRules({ hiddenRows: 1.5 })).toThrow('Invalid board size: 10x20+1.5');
+    expect(() => resolveRules({ spawnX: 9 })).toThrow('Invalid spawn column: 9');
+    expect(() => resolveRules({ spawnX: -5 })).toThrow('Invalid spawn column: -5');
+  });
+});
@@ -0,0 +1,75 @@
+const { createScoring } = require('../src/scoring');
+
+describe('ScoringSystem', () => {
+  describe('guideline', () => {
+    let scoring;
+
+    beforeEach(() => {
+      scoring = createScoring('guideline');
+    });
+
+    test('should score line clears by level', () => {
+      expect(scoring.scoreLock({ lines: 1, level: 1 }).points).toBe(100);
+      expect(scoring.scoreLock({ lines: 4, level: 2 }).points).toBe(1600 + 50 * 2);
+    });
+
+    test('should build and break combos', () => {
+      expect(scoring.scoreLock({ lines: 1 }).combo).toBe(0);
+      const second = scoring.scoreLock({ lines: 1 });
+      expect(second.combo).toBe(1);
+      expect(second.points).toBe(100 + 50);
+
+      scoring.scoreLock({ lines: 0 });
+      expect(scoring.getState().combo).toBe(0);
+      expect(scoring.scoreLock({ lines: 1 }).points).toBe(100);
+    });
+
+    test('should apply back-to-back bonus to consecutive difficult clears', () => {
+      expect(scoring.scoreLock({ lines: 4 }).backToBack).toBe(false);
+      scoring.scoreLock({ lines: 0 });
+      const tspin = scoring.scoreLock({ lines: 2, spin: 'tspin' });
+      expect(tspin.backToBack).toBe(true);
+      expect(tspin.points).toBe(1200 * 1.5);
+    });
+
+    test('should break back-to-back on an ordinary clear', () => {
+      scoring.scoreLock({ lines: 4 });
+      scoring.scoreLock({ lines: 0 });
+      scoring.scoreLock({ lines: 2 });
+      expect(scoring.getState().backToBack).toBe(false);
+      scoring.scoreLock({ lines: 0 });
+      expect(scoring.scoreLock({ lines: 4 }).backToBack).toBe(false);
+    });
+
+    test('should keep back-to-back through a zero-line T-spin', () => {
+      scoring.scoreLock({ lines: 4 });
+      scoring.scoreLock({ lines: 0, spin: 'tspin' });
+      expect(scoring.scoreLock({ lines: 4 }).backToBack).toBe(true);
+    });
+
+    test('should award perfect clear bonuses', () => {
+      const result = scoring.scoreLock({ lines: 4, perfectClear: true });
+      expect(result.perfectClear).toBe(true);
+      expect(result.points).toBe(800 + 2000);
+
+      scoring.scoreLock({ lines: 0 });
+      expect(scoring.scoreLock({ lines: 4, perfectClear: true }).points).toBe(800 * 1.5 + 3200);
+    });
+  });
+
+  describe('classic', () => {
+    test('should use NES values without bonuses', () => {
+      const scoring = createScoring('classic');
+      expect(scoring.scoreLock({ lines: 4, level: 1 }).points).toBe(1200);
+      expect(scoring.scoreLock({ lines: 4, level: 1, perfectClear: true }).points).toBe(1200);
+
+      const spin = scoring.scoreLock({ lines: 1, spin: 'tspin' });
+      expect(spin.spin).toBeNull();
+      expect(spin.points).toBe(40);
+    });
+  });
+
+  test('should reject unknown systems', () => {
+    expect(() => createScoring('bogus')).toThrow('Unknown scoring system: bogus');
+  });
+});
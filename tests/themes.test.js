@@ -0,0 +1,71 @@
+const { BUILTIN_THEMES, parseTheme, ThemeRegistry } = require('../src/themes');
+
+const palette = BUILTIN_THEMES[1].palette;
+
+describe('parseTheme', () => {
+  test('should fill in defaults for optional sections', () => {
+    const theme = parseTheme({ id: 'plain', palette });
+    expect(theme.name).toBe('plain');
+    expect(theme.blocks).toEqual({ style: 'flat' });
+    expect(theme.grid).toEqual({ style: 'solid', width: 1 });
+    expect(theme.fonts.family).toBe('monospace');
+    expect(theme.chrome).toEqual({ style: 'flat', titleBar: palette.panelBorder, titleText: palette.text });
+    expect(theme.page).toBe('win95');
+  });
+
+  test('should default the sprite sheet layout', () => {
+    const theme = parseTheme({ id: 'pixel', palette, blocks: { style: 'sprite', sprite: { src: 'themes/pixel.png' } } });
+    expect(theme.blocks.sprite).toEqual({ src: 'themes/pixel.png', size: 16, order: 'IOTSZJLG' });
+  });
+
+  test('should reject incomplete or unknown definitions', () => {
+    expect(() => parseTheme({ palette })).toThrow('Invalid theme: missing id');
+    expect(() => parseTheme({ id: 'x', palette: { ...palette, text: undefined } }))
+      .toThrow('Invalid theme x: missing palette color text');
+    expect(() => parseTheme({ id: 'x', palette: { ...palette, blockColors: { I: '#fff' } } }))
+      .toThrow('Invalid theme x: missing block color O');
+    expect(() => parseTheme({ id: 'x', palette, blocks: { style: 'chrome' } })).toThrow('Unknown block style: chrome');
+    expect(() => parseTheme({ id: 'x', palette, blocks: { style: 'sprite' } }))
+      .toThrow('Invalid theme x: sprite blocks need a sprite sheet');
+    expect(() => parseTheme({ id: 'x', palette, grid: { style: 'wavy' } })).toThrow('Unknown grid style: wavy');
+    expect(() => parseTheme({ id: 'x', palette, chrome: { style: 'aero' } })).toThrow('Unknown panel chrome: aero');
+  });
+});
+
+describe('ThemeRegistry', () => {
+  let themes;
+
+  beforeEach(() => {
+    themes = new ThemeRegistry();
+  });
+
+  test('should start with the built-in themes', () => {
+    expect(themes.list()).toEqual([
+      { id: 'win95', name: 'Win95', builtIn: true },
+      { id: 'dark', name: 'Dark', builtIn: true }
+    ]);
+    expect(themes.get('win95').blocks.style).toBe('bevel');
+    expect(() => themes.get('neon')).toThrow('Unknown theme: neon');
+  });
+
+  test('should cycle through every registered theme', () => {
+    themes.register({ id: 'aqua', palette });
+    expect(themes.next('win95')).toBe('dark');
+    expect(themes.next('dark')).toBe('aqua');
+    expect(themes.next('aqua')).toBe('win95');
+  });
+
+  test('should round-trip custom themes through exported JSON', () => {
+    themes.register({ id: 'aqua', name: 'Aqua', palette, blocks: { style: 'glossy' } });
+    const imported = new ThemeRegistry();
+    expect(imported.import(themes.export('aqua'))).toEqual(themes.get('aqua'));
+    expect(imported.getCustomThemes().map(theme => theme.id)).toEqual(['aqua']);
+  });
+
+  test('should reject invalid imports and keep the built-ins', () => {
+    expect(() => themes.import('{')).toThrow('Invalid theme: not valid JSON');
+    expect(() => themes.import('{"id": "x"}')).toThrow('Invalid theme x: missing palette');
+    expect(themes.has('x')).toBe(false);
+    expect(() => themes.unregister('dark')).toThrow('Cannot remove built-in theme: dark');
+  });
+});
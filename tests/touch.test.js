@@ -0,0 +1,63 @@
+const { TouchInput, resolveTouchSettings } = require('../src/touch');
+const { InputHandler } = require('../src/input');
+
+const types = events => events.map(({ action }) => action.direction ? `${action.type}:${action.direction}` : action.type);
+
+describe('TouchInput', () => {
+  let input;
+  let touch;
+
+  beforeEach(() => {
+    input = new InputHandler({ softDropFactor: 30 });
+    touch = new TouchInput(input, { swipeDistance: 30, flickVelocity: 1, tapTime: 200 });
+  });
+
+  test('should rotate on taps, counter-clockwise on the left half', () => {
+    touch.touchStart(1, 250, 300, 0, 300);
+    expect(types(touch.touchEnd(1, 252, 301, 100))).toEqual(['rotate:cw']);
+
+    touch.touchStart(2, 40, 300, 0, 300);
+    expect(types(touch.touchEnd(2, 40, 300, 100))).toEqual(['rotate:ccw']);
+
+    // Held too long to be a tap
+    touch.touchStart(3, 250, 300, 0, 300);
+    expect(touch.touchEnd(3, 250, 300, 500)).toEqual([]);
+  });
+
+  test('should move one column per swipe distance', () => {
+    touch.touchStart(1, 150, 300, 0, 300);
+    expect(types(touch.touchMove(1, 215, 300, 50))).toEqual(['move:right', 'move:right']);
+    expect(types(touch.touchMove(1, 175, 300, 100))).toEqual(['move:left']);
+    expect(touch.touchEnd(1, 175, 300, 150)).toEqual([]);
+  });
+
+  test('should hard drop on a flick and hold on a swipe up', () => {
+    touch.touchStart(1, 150, 100, 0, 300);
+    expect(types(touch.touchEnd(1, 150, 200, 50))).toEqual(['drop']);
+
+    touch.touchStart(2, 150, 300, 0, 300);
+    expect(types(touch.touchEnd(2, 155, 200, 150))).toEqual(['hold']);
+  });
+
+  test('should soft drop during a slow drag down until the finger lifts', () => {
+    touch.touchStart(1, 150, 100, 0, 300);
+    expect(touch.touchMove(1, 150, 140, 200)).toEqual([
+      { action: { type: 'softDrop', active: true, factor: 30 }, device: 'touch', release: false }
+    ]);
+    expect(types(touch.touchEnd(1, 150, 150, 400))).toEqual(['softDrop']);
+    expect(input.isHeld('softDrop')).toBe(false);
+  });
+
+  test('should hold pad buttons like keys', () => {
+    expect(types(touch.pressButton('moveLeft'))).toEqual(['move:left']);
+    expect(input.shift.direction).toBe('left');
+    expect(touch.releaseButton('moveLeft')).toEqual([]);
+    expect(input.shift).toBeNull();
+  });
+
+  test('should validate settings', () => {
+    expect(resolveTouchSettings().mode).toBe('gestures');
+    expect(() => resolveTouchSettings({ mode: 'tilt' })).toThrow('Unknown touch mode: tilt');
+    expect(() => touch.setSettings({ swipeDistance: 0 })).toThrow('Invalid touch setting swipeDistance: 0');
+  });
+});
@@ -0,0 +1,80 @@
+const { Renderer } = require('../src/renderer');
+const { WorkerRenderer, createRenderer, supportsWorkerRendering } = require('../src/worker-renderer');
+
+const createCanvas = () => ({
+  style: {},
+  transferControlToOffscreen: jest.fn(() => ({ offscreen: true }))
+});
+
+describe('WorkerRenderer', () => {
+  let canvas;
+  let panel;
+  let worker;
+  let renderer;
+
+  const state = (overrides = {}) => ({
+    grid: [[0, 'I'], [0, 0]],
+    currentPiece: { type: 'T', x: 1, y: 0, rotation: 2 },
+    board: { width: 10, height: 20, hiddenRows: 0 },
+    gameState: 'playing',
+    score: 0, level: 1, lines: 0, lastClear: null, combo: 0,
+    nextPieces: [{ type: 'S' }], holdPiece: null, canHold: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    canvas = createCanvas();
+    panel = createCanvas();
+    worker = { postMessage: jest.fn() };
+    renderer = new WorkerRenderer(canvas, panel, 'win95', () => worker);
+  });
+
+  test('should hand both canvases to the worker', () => {
+    const [message, transfer] = worker.postMessage.mock.calls[0];
+    expect(message).toMatchObject({ type: 'init', theme: 'win95' });
+    expect(transfer).toEqual([message.canvas, message.panel]);
+  });
+
+  test('should size the elements itself and post the layout', () => {
+    renderer.layout({ width: 2000, height: 600 }, panel, 2);
+    expect(canvas.style.width).toBe('300px');
+    expect(panel.style.height).toBe('600px');
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'layout', bounds: { width: 2000, height: 600 }, pixelRatio: 2 });
+  });
+
+  test('should post compact frames', () => {
+    renderer.render(state());
+    expect(worker.postMessage).toHaveBeenLastCalledWith({
+      type: 'frame', grid: ['.I', '..'], piece: ['T', 1, 0, 2], board: [10, 20, 0], garbage: 0, paused: false
+    });
+  });
+
+  test('should only post the panel when it changes', () => {
+    expect(renderer.renderUI(state())).toBe(true);
+    expect(renderer.renderUI(state())).toBe(false);
+    expect(renderer.renderUI(state({ score: 40 }))).toBe(true);
+    expect(worker.postMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('should report the drawing time the worker measured', () => {
+    renderer.onRenderTime = jest.fn();
+    worker.onmessage({ data: { type: 'renderTime', time: 4.5 } });
+    expect(renderer.onRenderTime).toHaveBeenCalledWith(4.5);
+  });
+
+  test('should send custom themes with their definition', () => {
+    const theme = renderer.themes.register({ ...renderer.themes.get('dark'), id: 'midnight' });
+    renderer.setTheme('midnight');
+    expect(worker.postMessage).toHaveBeenLastCalledWith({ type: 'theme', theme: 'midnight', definition: theme });
+    expect(() => renderer.setTheme('neon')).toThrow('Unknown theme: neon');
+  });
+});
+
+describe('createRenderer', () => {
+  test('should fall back to the main-thread renderer without OffscreenCanvas', () => {
+    const canvas = { ...createCanvas(), getContext: () => ({ setTransform: jest.fn() }) };
+    expect(supportsWorkerRendering(canvas, createCanvas())).toBe(false);
+    expect(createRenderer(canvas, createCanvas())).toBeInstanceOf(Renderer);
+    expect(canvas.transferControlToOffscreen).not.toHaveBeenCalled();
+  });
+});